@@ -0,0 +1,406 @@
+// Audio input analysis, for the audio-reactive mode
+//
+// Reads raw PCM audio (signed integers, little-endian, interleaved channels) from stdin, a named pipe or a file.
+// A WAV header at the start of the input sets the format, otherwise the format of the settings is used.
+// Files are read at the speed of the audio and played again when they end. Named pipes are opened again when the
+// writer closes them, waiting for the next one.
+// The audio is analyzed by blocks: levels of the bass, mid and treble bands, and beats detected when the bass energy
+// rises well above its recent average.
+const fs = require('fs');
+
+// Default audio input settings
+const DEFAULT_SETTINGS = {
+	input: 'stdin',
+	sampleRate: 44100,
+	channels: 2,
+	bitDepth: 16,
+	loop: true,
+};
+
+// Number of samples analyzed at once (power of 2, for the FFT)
+const BLOCK_SIZE = 1024;
+
+// Frequency bands, in Hz
+const BANDS = { bass: [20, 250], mid: [250, 2000], treble: [2000, 8000] };
+
+// Duration of the bass energy history used to detect the beats, in s
+const BEAT_HISTORY_DURATION = 1;
+
+// Ratio of the bass energy over its recent average making a beat
+const BEAT_THRESHOLD = 1.4;
+
+// Minimum bass level of a beat, so the noise doesn't make beats during the silences
+const MIN_BEAT_LEVEL = 0.3;
+
+// Minimum time between two beats, in s
+const MIN_BEAT_INTERVAL = 0.25;
+
+// Decay of the maximum energy of each band per block, so the levels adapt to the volume of the music
+const MAX_ENERGY_DECAY = 0.998;
+
+// Energy below which a band is silent
+const MIN_ENERGY = 1e-6;
+
+// Delay before opening the input again when it can't be opened, in ms
+const REOPEN_DELAY = 2000;
+
+// Maximum size of a WAV header, in bytes
+const MAX_WAV_HEADER_SIZE = 65536;
+
+// Input settings
+let settings = null;
+
+// Analysis handler
+let onAnalysis = null;
+
+// Handler called when the input ends or fails for good
+let onEnd = null;
+
+// Current input stream
+let stream = null;
+
+// Audio format of the current input: { sampleRate, channels, bitDepth, float }
+let format = null;
+
+// Bytes of the input waiting to be decoded (incomplete header or sample frame)
+let pendingBytes = Buffer.alloc(0);
+
+// Mono samples waiting to be analyzed
+let block = new Float64Array(BLOCK_SIZE);
+
+// Number of samples in the block
+let blockLength = 0;
+
+// Number of samples analyzed since the start of the input
+let sampleCount = 0;
+
+// Maximum energy of each band
+let maxEnergies = {};
+
+// Recent bass energies
+let bassHistory = [];
+
+// Time of the last beat, in s of audio
+let lastBeatTime = -Infinity;
+
+// Timer opening the input again
+let reopenTimer = null;
+
+// Playback start time and played duration of a file, in ms, to read it at the speed of the audio
+let playback = null;
+
+/**
+ * Compute the FFT of a signal, in place.
+ * @param {Float64Array} re Real parts, the length being a power of 2
+ * @param {Float64Array} im Imaginary parts
+ */
+function fft(re, im) {
+	const n = re.length;
+
+	// Bit-reversal permutation
+	for (let i = 1, j = 0; i < n; i++) {
+		let bit = n >> 1;
+		for (; j & bit; bit >>= 1) {
+			j ^= bit;
+		}
+		j ^= bit;
+		if (i < j) {
+			[re[i], re[j]] = [re[j], re[i]];
+			[im[i], im[j]] = [im[j], im[i]];
+		}
+	}
+
+	// Butterflies
+	for (let size = 2; size <= n; size <<= 1) {
+		const angle = -2 * Math.PI / size;
+		for (let k = 0; k < size / 2; k++) {
+			const [cos, sin] = [Math.cos(angle * k), Math.sin(angle * k)];
+			for (let start = 0; start < n; start += size) {
+				const [a, b] = [start + k, start + k + size / 2];
+				const [tre, tim] = [re[b] * cos - im[b] * sin, re[b] * sin + im[b] * cos];
+				[re[b], im[b]] = [re[a] - tre, im[a] - tim];
+				[re[a], im[a]] = [re[a] + tre, im[a] + tim];
+			}
+		}
+	}
+}
+
+/**
+ * Analyze a block of mono samples and pass the result to the handler.
+ * @param {Float64Array} samples
+ */
+function analyzeBlock(samples) {
+	const n = samples.length;
+	const re = new Float64Array(n);
+	const im = new Float64Array(n);
+	let sum = 0;
+	for (let i = 0; i < n; i++) {
+		// Hann window
+		re[i] = samples[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+		sum += samples[i] * samples[i];
+	}
+	fft(re, im);
+
+	// Band levels from 0 to 1, relative to the recent maximum energy of the band
+	const energies = {};
+	const levels = {};
+	for (let [band, [minFrequency, maxFrequency]] of Object.entries(BANDS)) {
+		const [from, to] = [minFrequency, maxFrequency].map(frequency => Math.round(frequency * n / format.sampleRate));
+		energies[band] = 0;
+		for (let i = Math.max(1, from); i <= Math.min(n / 2, to); i++) {
+			energies[band] += re[i] * re[i] + im[i] * im[i];
+		}
+		maxEnergies[band] = Math.max(energies[band], (maxEnergies[band] || 0) * MAX_ENERGY_DECAY);
+		levels[band] = (maxEnergies[band] < MIN_ENERGY) ? 0 : Math.sqrt(energies[band] / maxEnergies[band]);
+	}
+
+	// Beat: the bass energy rises above its recent average
+	const time = sampleCount / format.sampleRate;
+	const averageBassEnergy = bassHistory.reduce((total, energy) => total + energy, 0) / (bassHistory.length || 1);
+	const beat = bassHistory.length > 0 && energies.bass > BEAT_THRESHOLD * averageBassEnergy
+		&& levels.bass >= MIN_BEAT_LEVEL && time - lastBeatTime >= MIN_BEAT_INTERVAL;
+	if (beat) {
+		lastBeatTime = time;
+	}
+	bassHistory = [...bassHistory, energies.bass].slice(-Math.round(BEAT_HISTORY_DURATION * format.sampleRate / n));
+
+	try {
+		onAnalysis({ ...levels, rms: Math.sqrt(sum / n), beat, time });
+	} catch (error) {
+		console.error(`Unable to handle the audio analysis:`, error);
+	}
+}
+
+/**
+ * Read the WAV header at the start of the input, if any.
+ * @param {Buffer} bytes Start of the input
+ * @return {object|null} { format, dataOffset }, format being null for raw PCM, null if the header is incomplete
+ */
+function readWavHeader(bytes) {
+	if (bytes.length < 12) {
+		return null;
+	}
+	if (bytes.toString('ascii', 0, 4) !== 'RIFF' || bytes.toString('ascii', 8, 12) !== 'WAVE') {
+		return { format: null, dataOffset: 0 };
+	}
+	let wavFormat = null;
+	for (let offset = 12; offset + 8 <= bytes.length;) {
+		const [chunkId, chunkSize] = [bytes.toString('ascii', offset, offset + 4), bytes.readUInt32LE(offset + 4)];
+		if (chunkId === 'data') {
+			if (!wavFormat) {
+				throw new Error('WAV format chunk missing');
+			}
+			return { format: wavFormat, dataOffset: offset + 8 };
+		}
+		if (offset + 8 + chunkSize > bytes.length) {
+			break;
+		}
+		if (chunkId === 'fmt ') {
+			// PCM (1), float (3) or extensible (0xFFFE) formats
+			const audioFormat = bytes.readUInt16LE(offset + 8);
+			const bitDepth = bytes.readUInt16LE(offset + 22);
+			const float = (audioFormat === 3) || (audioFormat === 0xFFFE && bytes.readUInt16LE(offset + 32) === 3);
+			if (![1, 3, 0xFFFE].includes(audioFormat) || (float && bitDepth !== 32)) {
+				throw new Error(`Unsupported WAV format ${audioFormat} (${bitDepth} bits)`);
+			}
+			wavFormat = { channels: bytes.readUInt16LE(offset + 10), sampleRate: bytes.readUInt32LE(offset + 12), bitDepth, float };
+		}
+		offset += 8 + chunkSize + (chunkSize % 2);
+	}
+	if (bytes.length > MAX_WAV_HEADER_SIZE) {
+		throw new Error('WAV audio data not found');
+	}
+	return null;
+}
+
+/**
+ * Read a sample, as a number from -1 to 1.
+ * @param {Buffer} bytes
+ * @param {int} offset
+ * @return {number}
+ */
+function readSample(bytes, offset) {
+	switch (format.float ? 'float' : format.bitDepth) {
+		case 'float': return bytes.readFloatLE(offset);
+		case 8: return (bytes.readUInt8(offset) - 128) / 128;
+		case 16: return bytes.readInt16LE(offset) / 32768;
+		case 24: return bytes.readIntLE(offset, 3) / 8388608;
+		case 32: return bytes.readInt32LE(offset) / 2147483648;
+	}
+	throw new Error(`Unsupported bit depth ${format.bitDepth}`);
+}
+
+/**
+ * Decode the audio of a chunk of the input and analyze it by blocks.
+ * @param {Buffer} chunk
+ */
+function handleData(chunk) {
+	let bytes = Buffer.concat([pendingBytes, chunk]);
+
+	// Audio format, from the WAV header or from the settings
+	if (!format) {
+		const header = readWavHeader(bytes);
+		if (!header) {
+			pendingBytes = bytes;
+			return;
+		}
+		format = header.format || { sampleRate: settings.sampleRate, channels: settings.channels, bitDepth: settings.bitDepth, float: false };
+		bytes = bytes.subarray(header.dataOffset);
+		sampleCount === 0 && console.log(`Audio input: ${format.sampleRate} Hz, ${format.channels} channel(s), ${format.bitDepth} bits${header.format ? ' (WAV)' : ''}.`);
+	}
+
+	// Mix the channels of each sample frame
+	const sampleSize = format.bitDepth / 8;
+	const frameSize = sampleSize * format.channels;
+	const frameCount = Math.floor(bytes.length / frameSize);
+	for (let frame = 0; frame < frameCount; frame++) {
+		let value = 0;
+		for (let channel = 0; channel < format.channels; channel++) {
+			value += readSample(bytes, frame * frameSize + channel * sampleSize);
+		}
+		block[blockLength++] = value / format.channels;
+		if (blockLength === BLOCK_SIZE) {
+			sampleCount += BLOCK_SIZE;
+			analyzeBlock(block);
+			blockLength = 0;
+		}
+	}
+	pendingBytes = bytes.subarray(frameCount * frameSize);
+
+	// Files are read at the speed of the audio
+	if (playback) {
+		playback.duration += frameCount / format.sampleRate * 1000;
+		const delay = playback.startTime + playback.duration - Date.now();
+		if (delay > 0) {
+			const currentStream = stream;
+			currentStream.pause();
+			setTimeout(() => stream === currentStream && currentStream.resume(), delay);
+		}
+	}
+}
+
+/**
+ * Open the audio input. Files and named pipes are opened again when they end.
+ */
+function openInput() {
+	format = null;
+	pendingBytes = Buffer.alloc(0);
+	blockLength = 0;
+
+	const input = settings.input;
+	const isFile = (input !== 'stdin') && fs.statSync(input).isFile();
+	playback = isFile ? { startTime: Date.now(), duration: 0 } : null;
+	const currentStream = (input === 'stdin') ? process.stdin : fs.createReadStream(input, { highWaterMark: 16384 });
+	stream = currentStream;
+
+	currentStream.on('data', chunk => {
+		try {
+			handleData(chunk);
+		} catch (error) {
+			console.error(`Invalid audio input: ${error.message}`);
+			endInput();
+		}
+	});
+	currentStream.on('error', error => {
+		console.error(`Audio input error: ${error.message}`);
+		if (stream !== currentStream) {
+			return;
+		}
+		if (input === 'stdin') {
+			endInput();
+			return;
+		}
+		// The file or the pipe may have been removed
+		stream = null;
+		reopenTimer = setTimeout(reopenInput, REOPEN_DELAY);
+	});
+	currentStream.on('end', () => {
+		if (stream !== currentStream) {
+			return;
+		}
+		if (input === 'stdin' || (isFile && !settings.loop)) {
+			console.log(`Audio input ended.`);
+			endInput();
+			return;
+		}
+		// Play the file again, or wait for the next writer of the pipe
+		reopenInput();
+	});
+	if (input === 'stdin') {
+		currentStream.resume();
+	}
+}
+
+/**
+ * Stop reading the audio input once it has ended or failed, and notify the end handler.
+ */
+function endInput() {
+	const handler = onEnd;
+	stopAudioInput();
+	handler && handler();
+}
+
+/**
+ * Open the audio input again, retrying later when it can't be opened (ie the file or the pipe is being recreated).
+ */
+function reopenInput() {
+	reopenTimer = null;
+	if (settings === null) {
+		return;
+	}
+	try {
+		openInput();
+	} catch (error) {
+		console.error(`Unable to open the audio input again, retrying in ${REOPEN_DELAY / 1000}s: ${error.message}`);
+		stream = null;
+		reopenTimer = setTimeout(reopenInput, REOPEN_DELAY);
+	}
+}
+
+/**
+ * Start reading and analyzing the audio input.
+ * @param {object} inputSettings { input, sampleRate, channels, bitDepth, loop }, input being 'stdin' or a file path
+ * @param {function} handler Analysis handler, called with { bass, mid, treble, rms, beat, time } for each block,
+ *                           the band levels being from 0 to 1
+ * @param {function} [endHandler] Called when the input ends (stdin, or a file which is not played in a loop) or
+ *                                can't be read anymore
+ * @throws {Error} The input can't be opened
+ */
+function startAudioInput(inputSettings, handler, endHandler = null) {
+	settings = { ...DEFAULT_SETTINGS, ...inputSettings };
+	onAnalysis = handler;
+	onEnd = endHandler;
+	sampleCount = 0;
+	maxEnergies = {};
+	bassHistory = [];
+	lastBeatTime = -Infinity;
+	console.log(`Reading audio from ${settings.input}...`);
+	try {
+		openInput();
+	} catch (error) {
+		settings = null;
+		throw error;
+	}
+}
+
+/**
+ * Stop reading the audio input.
+ */
+function stopAudioInput() {
+	const currentStream = stream;
+	stream = null;
+	settings = null;
+	onEnd = null;
+	clearTimeout(reopenTimer);
+	reopenTimer = null;
+	if (currentStream === process.stdin) {
+		currentStream.removeAllListeners('data').removeAllListeners('end').removeAllListeners('error').pause();
+	} else if (currentStream) {
+		currentStream.destroy();
+	}
+}
+
+module.exports = {
+	startAudioInput,
+	stopAudioInput,
+};
@@ -0,0 +1,303 @@
+// Color parsing and conversion for the Hue lights
+
+// CSS named colors
+const CSS_COLORS = {
+	aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+	beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+	blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+	chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+	cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+	darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b', darkolivegreen: '#556b2f',
+	darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f',
+	darkslateblue: '#483d8b', darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3',
+	deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff',
+	firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+	ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+	greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+	indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5',
+	lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+	lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+	lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+	lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+	magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+	mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc',
+	mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+	navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23',
+	orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+	paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f',
+	pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399',
+	red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072',
+	sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0',
+	skyblue: '#87ceeb', slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+	springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8',
+	tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3', white: '#ffffff',
+	whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32',
+};
+
+// Color gamut used when the one of the light is unknown (Hue gamut C)
+const DEFAULT_GAMUT = [[0.6915, 0.3083], [0.17, 0.7], [0.1532, 0.0475]];
+
+// D65 white point
+const WHITE_POINT = [0.3127, 0.3290];
+
+// Temperature range of the Planckian locus approximation, in Kelvin
+const [MIN_KELVIN, MAX_KELVIN] = [1667, 25000];
+
+/**
+ * Parse a hex color code.
+ * @param {string} hex 3 or 6 digits, without the leading #
+ * @return {array} [r, g, b]
+ */
+function parseHex(hex) {
+	if (hex.length === 3) {
+		hex = hex.split('').map(digit => digit + digit).join('');
+	}
+	return [0, 2, 4].map(index => parseInt(hex.substring(index, index + 2), 16));
+}
+
+/**
+ * Parse a CSS numeric value, in percent or absolute.
+ * @param {string} value
+ * @param {number} max Value matching 100%
+ * @return {number}
+ */
+function parseCssNumber(value, max) {
+	const number = parseFloat(value);
+	return value.endsWith('%') ? number * max / 100 : number;
+}
+
+/**
+ * Convert HSL into RGB.
+ * @param {number} h Hue, in degrees
+ * @param {number} s Saturation, from 0 to 1
+ * @param {number} l Lightness, from 0 to 1
+ * @return {array} [r, g, b]
+ */
+function hslToRgb(h, s, l) {
+	h = ((h % 360) + 360) % 360;
+	const c = (1 - Math.abs(2 * l - 1)) * s;
+	const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+	const m = l - c / 2;
+	const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(h / 60)];
+	return [r, g, b].map(value => Math.round((value + m) * 255));
+}
+
+/**
+ * Parse a color.
+ * Supported formats are hex codes (#F08, #FF0080), CSS color names (hotpink), rgb(255, 0, 128), hsl(330, 100%, 50%)
+ * and temperatures in Kelvin (3000k).
+ * @param {string} color
+ * @return {object|null} { rgb: [r, g, b] } or { k: <temperature> }, null if the color is invalid
+ */
+function parseColor(color) {
+	const value = String(color).trim().toLowerCase().replace(/\s+/g, ' ');
+	let matches;
+
+	if ((matches = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/))) {
+		return { rgb: parseHex(matches[1]) };
+	}
+
+	if (CSS_COLORS[value]) {
+		return { rgb: parseHex(CSS_COLORS[value].substring(1)) };
+	}
+
+	if ((matches = value.match(/^rgba?\( ?([\d.]+%?)[, ] ?([\d.]+%?)[, ] ?([\d.]+%?)( ?[,/] ?[\d.]+%?)? ?\)$/))) {
+		const rgb = matches.slice(1, 4).map(channel => Math.round(Math.min(255, parseCssNumber(channel, 255))));
+		return rgb.some(isNaN) ? null : { rgb };
+	}
+
+	if ((matches = value.match(/^hsla?\( ?(-?[\d.]+)(deg)?[, ] ?([\d.]+)%[, ] ?([\d.]+)%( ?[,/] ?[\d.]+%?)? ?\)$/))) {
+		const [h, s, l] = [parseFloat(matches[1]), parseFloat(matches[3]) / 100, parseFloat(matches[4]) / 100];
+		return [h, s, l].some(isNaN) ? null : { rgb: hslToRgb(h, Math.min(1, s), Math.min(1, l)) };
+	}
+
+	if ((matches = value.match(/^(\d{4,5}) ?k$/))) {
+		const k = parseInt(matches[1], 10);
+		return (k >= 1000 && k <= 40000) ? { k } : null;
+	}
+
+	return null;
+}
+
+/**
+ * Compute the edit distance between two words: number of inserted, deleted, replaced or swapped letters.
+ * @param {string} a
+ * @param {string} b
+ * @return {int}
+ */
+function getEditDistance(a, b) {
+	// Optimal string alignment distance, row by row
+	let previousRow = null;
+	let row = Array.from({ length: b.length + 1 }, (value, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const nextRow = [i];
+		for (let j = 1; j <= b.length; j++) {
+			const cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+			nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+			if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+			}
+		}
+		[previousRow, row] = [row, nextRow];
+	}
+	return row[b.length];
+}
+
+/**
+ * Find the name closest to a misspelled word.
+ * Short words don't tolerate typos, long words tolerate up to 2 of them.
+ * @param {string} word
+ * @param {array} names
+ * @return {string|null} Closest name, null if no name is close enough
+ */
+function findClosestName(word, names) {
+	const maxDistance = (word.length >= 8) ? 2 : (word.length >= 4) ? 1 : 0;
+	let closest = null;
+	let closestDistance = maxDistance + 1;
+	for (let name of names) {
+		const distance = (Math.abs(name.length - word.length) <= maxDistance) ? getEditDistance(word, name) : Infinity;
+		if (distance < closestDistance) {
+			closest = name;
+			closestDistance = distance;
+		}
+	}
+	return closest;
+}
+
+/**
+ * Indicates if the point is inside the gamut triangle.
+ * @param {array} point [x, y]
+ * @param {array} gamut [[red x, red y], [green x, green y], [blue x, blue y]]
+ * @return {boolean}
+ */
+function isInGamut([x, y], gamut) {
+	const sign = ([x1, y1], [x2, y2]) => (x - x2) * (y1 - y2) - (x1 - x2) * (y - y2);
+	const [d1, d2, d3] = [sign(gamut[0], gamut[1]), sign(gamut[1], gamut[2]), sign(gamut[2], gamut[0])];
+	const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+	const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+	return !(hasNegative && hasPositive);
+}
+
+/**
+ * Get the closest point to the given one on a segment.
+ * @param {array} point [x, y]
+ * @param {array} a [x, y] first end of the segment
+ * @param {array} b [x, y] second end of the segment
+ * @return {array} [x, y]
+ */
+function getClosestPointOnSegment([x, y], [ax, ay], [bx, by]) {
+	const [dx, dy] = [bx - ax, by - ay];
+	const t = Math.min(1, Math.max(0, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy)));
+	return [ax + t * dx, ay + t * dy];
+}
+
+/**
+ * Clamp CIE xy coordinates to the gamut of a light.
+ * @param {array} xy
+ * @param {array} [gamut]
+ * @return {array} [x, y] rounded to 4 decimals
+ */
+function clampToGamut(xy, gamut = DEFAULT_GAMUT) {
+	let point = xy;
+	if (!isInGamut(xy, gamut)) {
+		const candidates = [[0, 1], [1, 2], [2, 0]].map(([a, b]) => getClosestPointOnSegment(xy, gamut[a], gamut[b]));
+		const distance = ([cx, cy]) => Math.hypot(cx - xy[0], cy - xy[1]);
+		point = candidates.reduce((closest, candidate) => (distance(candidate) < distance(closest)) ? candidate : closest);
+	}
+	return point.map(value => Math.round(value * 10000) / 10000);
+}
+
+/**
+ * Convert an sRGB color into CIE xy coordinates within the gamut of a light.
+ * @param {array} rgb [r, g, b] from 0 to 255
+ * @param {array} [gamut]
+ * @return {array} [x, y]
+ */
+function rgbToXy(rgb, gamut = DEFAULT_GAMUT) {
+	// Remove the sRGB gamma correction
+	const [r, g, b] = rgb.map(value => value / 255).map(value => (value > 0.04045) ? Math.pow((value + 0.055) / 1.055, 2.4) : value / 12.92);
+
+	// Convert into CIE XYZ (D65)
+	const X = r * 0.4124 + g * 0.3576 + b * 0.1805;
+	const Y = r * 0.2126 + g * 0.7152 + b * 0.0722;
+	const Z = r * 0.0193 + g * 0.1192 + b * 0.9505;
+	const sum = X + Y + Z;
+	if (sum === 0) {
+		return clampToGamut(WHITE_POINT, gamut);
+	}
+	return clampToGamut([X / sum, Y / sum], gamut);
+}
+
+/**
+ * Convert CIE xy coordinates into the brightest sRGB color having these coordinates.
+ * @param {array} xy [x, y]
+ * @return {array} [r, g, b] from 0 to 255
+ */
+function xyToRgb([x, y]) {
+	// Convert into CIE XYZ (D65), with Y = 1
+	const [X, Y, Z] = [x / y, 1, (1 - x - y) / y];
+	const linear = [
+		X * 3.2406 - Y * 1.5372 - Z * 0.4986,
+		-X * 0.9689 + Y * 1.8758 + Z * 0.0415,
+		X * 0.0557 - Y * 0.2040 + Z * 1.0570,
+	].map(value => Math.max(0, value));
+
+	// Scale to the brightest color and apply the sRGB gamma correction
+	const max = Math.max(...linear, 1e-6);
+	return linear
+		.map(value => value / max)
+		.map(value => (value <= 0.0031308) ? 12.92 * value : 1.055 * Math.pow(value, 1 / 2.4) - 0.055)
+		.map(value => Math.round(value * 255));
+}
+
+/**
+ * Format an sRGB color as a hex code.
+ * @param {array} rgb [r, g, b] from 0 to 255
+ * @return {string} ie '#ff0080'
+ */
+function rgbToHex(rgb) {
+	return '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a color temperature into CIE xy coordinates within the gamut of a light.
+ * Uses the cubic spline approximation of the Planckian locus by Kim et al.
+ * @param {number} k Temperature in Kelvin
+ * @param {array} [gamut]
+ * @return {array} [x, y]
+ */
+function kelvinToXy(k, gamut = DEFAULT_GAMUT) {
+	const t = Math.min(MAX_KELVIN, Math.max(MIN_KELVIN, k));
+	const x = (t <= 4000)
+		? -0.2661239e9 / (t * t * t) - 0.2343589e6 / (t * t) + 0.8776956e3 / t + 0.179910
+		: -3.0258469e9 / (t * t * t) + 2.1070379e6 / (t * t) + 0.2226347e3 / t + 0.240390;
+	const y = (t <= 2222)
+		? -1.1063814 * x * x * x - 1.34811020 * x * x + 2.18555832 * x - 0.20219683
+		: (t <= 4000)
+			? -0.9549476 * x * x * x - 1.37418593 * x * x + 2.09137015 * x - 0.16748867
+			: 3.0817580 * x * x * x - 5.87338670 * x * x + 3.75112997 * x - 0.37001483;
+	return clampToGamut([x, y], gamut);
+}
+
+/**
+ * Get the Hue brightness matching an RGB color.
+ * @param {array} rgb
+ * @return {int} from 1 to 254
+ */
+function rgbToBri(rgb) {
+	return Math.max(1, Math.round(Math.max(...rgb) / 255 * 254));
+}
+
+module.exports = {
+	CSS_COLORS,
+	DEFAULT_GAMUT,
+	parseColor,
+	getEditDistance,
+	findClosestName,
+	clampToGamut,
+	rgbToXy,
+	xyToRgb,
+	rgbToHex,
+	kelvinToXy,
+	rgbToBri,
+};
@@ -1,61 +1,192 @@
+// Settings of the bot, checked against schema.js when the bot starts.
+// Changes are applied while the bot runs, except for the connection settings and the file paths which need a restart.
 module.exports = {
 	// HTTP server port to trigger effects externally (optional)
 	HTTP_PORT: null, // ie 666
 
+	// Trigger effects from the Twitch events (raids, subs, bits)
+	// Defaults to true when the HTTP server is disabled and false otherwise (the effects are triggered by the external alert box).
+	USE_TWITCH_EVENTS: null, // ie true
+
+	// Twitch EventSub client, to receive the events from EventSub rather than from the chat (optional)
+	// enabled: Use EventSub when the Twitch events are used
+	// clientId: Client ID of your Twitch application, token: User access token of the broadcaster for this application,
+	//           with the channel:read:subscriptions, bits:read, moderator:read:followers, channel:read:redemptions,
+	//           channel:read:hype_train and channel:read:polls scopes
+	// broadcasterId: User ID of the broadcaster (optional, read from the token by default)
+	// events: Subscribed events (optional, all of them by default). The other events are read from the chat.
+	// url, apiUrl: EventSub WebSocket and Twitch API URLs, ie to use a local mock server
+	EVENTSUB: {
+		enabled: false,
+		clientId: 'xxxxxxxxxxxxxxxxxxxxxxxxxxxxxx',
+		token: 'xxxxxxxxxxxxxxxxxxxxxxxxxxxxxx',
+		// broadcasterId: '123456789',
+		// events: ['channel.channel_points_custom_reward_redemption.add', 'channel.follow'],
+		// url: 'ws://127.0.0.1:8080/ws',
+		// apiUrl: 'http://127.0.0.1:8080',
+	},
+
+	// OBS WebSocket client, to change the lights with the OBS scenes (optional, OBS 28+)
+	// enabled: Connect to OBS. Enable the WebSocket server in Tools > WebSocket Server Settings of OBS.
+	// url: WebSocket server URL, ie to use a local mock server
+	// password: WebSocket server password, if authentication is enabled
+	// events: Send the effect starts and ends to OBS as custom events (CustomEvent),
+	//         with the { source: 'TwitchHueBot', type: 'effect', status, effect, name } data
+	OBS: {
+		enabled: false,
+		url: 'ws://127.0.0.1:4455',
+		password: 'xxxxxxxxxxxxxxxx',
+		events: true,
+	},
+
+	// Light changes by OBS scene name (optional), each one being:
+	//   scene: A scene of the library (see !savescene)
+	//   colors: A color scheme, as in the !color command
+	//   settings: Light settings by light selector, as in INITIAL_LIGHT_SETTINGS
+	//   effect, params: An effect of EFFECTS, with its parameters (optional)
+	//   reset: true to reset the lights
+	OBS_SCENES: {
+		// 'Starting soon': { scene: 'starting' },
+		// 'Gameplay': { colors: 'cyberpunk' },
+		// 'BRB': { settings: { 'all': { bri: 64 }, 'accent': { color: 'teal' } } },
+		// 'Ending': { reset: true },
+	},
+
+	// Actions of the OBS sources used as hotkeys, by source name: 'raid', 'sub' or an effect key (optional)
+	// Add a source (ie an empty color source) to the scenes and bind its "Show" hotkey in the OBS settings.
+	// Showing the source runs the action, and the bot hides it again.
+	OBS_HOTKEYS: {
+		// 'Raid lights': 'raid',
+		// 'Sub lights': 'sub',
+	},
+
 	// Twitch channel name
 	TWITCH_CHANNEL: 'MyTwitchChannel',
 
 	// ID of the Twitch reward used to change the Lightstrip colors
 	COLOR_REWARD_ID: 'xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx',
 
+	// Twitch account used by the bot to reply in the chat (optional, the bot reads the chat anonymously without it)
+	// Get the OAuth token of the account on https://twitchapps.com/tmi/
+	TWITCH_BOT_USERNAME: null,
+	TWITCH_BOT_OAUTH: null, // 'oauth:xxxxxxxxxxxxxxxxxxxxxxxxxxxxxx'
+
+	// Chat reply templates, values between braces are replaced. An empty template disables the reply.
+	CHAT_REPLIES: {
+		colorApplied: '@{user} The lights are now {scheme}.',
+		colorDeferred: '@{user} {scheme} will be applied after the current effect.',
+		colorUnknown: '@{user} Unknown color. Try {suggestions}, a color name or a hex code like #FF0080.',
+		colorQueued: '@{user} {scheme} will be applied in {delay}s.',
+		colorRejected: '@{user} Please wait {delay}s before changing the colors again.',
+		lightState: '{summary}',
+		colorList: 'Colors ({page}/{pages}): {schemes}',
+		sceneSaved: '@{user} Scene {scene} saved.',
+		sceneLoaded: '@{user} Scene {scene} loaded.',
+		sceneDeleted: '@{user} Scene {scene} deleted.',
+		sceneDefault: '@{user} Default scene: {scene}.',
+		sceneUnknown: '@{user} Unknown scene {scene}. Scenes: {scenes}.',
+		sceneInvalid: '@{user} Scene names are made of letters, digits, dashes and underscores.',
+		sceneList: 'Scenes: {scenes}',
+		audioOn: '@{user} The lights now follow the music.',
+		audioOff: '@{user} The lights no longer follow the music.',
+	},
+
+	// Chat messages sent by the bot per period (ms). Twitch allows 20 messages per 30s, 100 when the bot is a moderator.
+	CHAT_RATE_LIMIT: { messages: 20, period: 30000 },
+
+	// Chat users allowed to run the commands, by command or command group (see the commands in README.md).
+	// Permissions are roles (broadcaster, moderator, vip, subscriber, everyone), user logins prefixed by '@' or user IDs.
+	// The commands without permission use the default one.
+	COMMAND_PERMISSIONS: {
+		default: ['broadcaster'],
+		color: ['broadcaster', 'moderator'],
+		resetlights: ['broadcaster', 'moderator', '@mytrustedfriend'],
+	},
+
+	// Lights the viewers can change with the color reward (light selector, see LIGHTS)
+	COLOR_REWARD_LIGHTS: 'accent',
+
+	// Cooldowns of the color reward, in ms
+	// global: Time between two redemptions, user: Time between two redemptions of the same viewer
+	// minDisplayTime: Minimum time a color scheme stays displayed before it can be replaced by a redemption or a !color command of a viewer
+	// policy: 'queue' to apply the redemptions at the end of the cooldown, 'reject' to ignore them
+	// maxQueued: Maximum number of redemptions waiting for the end of the cooldown, the next ones are rejected
+	COLOR_REWARD_COOLDOWN: { global: 5000, user: 30000, minDisplayTime: 10000, policy: 'queue', maxQueued: 10 },
+
+	// Cooldowns of the commands, by command or command group, with the same settings as COLOR_REWARD_COOLDOWN.
+	// The commands without cooldown use the default one. The broadcaster has no cooldown.
+	COMMAND_COOLDOWNS: {
+		default: { global: 0, user: 0, policy: 'reject' },
+		color: { global: 5000, user: 30000, policy: 'queue' },
+	},
+
 	// Username on the Hue bridge
 	HUE_BRIDGE_USERNAME: 'XXXXXXXXXXXX-XXXXXXXXXXXXXXXXXXXXXXXXXXX',
 
-	// Hue bridge IP (optional)
+	// Hue bridge IP (optional, found on the LAN by default)
+	// An address with a port (ie '127.0.0.1:8080') is reached over plain HTTP, to use a local mock bridge.
 	HUE_BRIDGE_IP: null, // ie '192.168.0.100'
 
-	// Key light IDs (as seen by the camera)
-	LEFT_KEY_LIGHT_ID: 1,
-	RIGHT_KEY_LIGHT_ID: 2,
+	// Lights of the rig
+	// id: ID of the light on the Hue bridge
+	// name: Name of the light, displayed in the logs
+	// role: 'key' (key lights), 'back' (back lights), 'accent' (RGB scenery lights such as Lightstrips) or 'ambient' (room lights)
+	// position: Position of the light as seen by the camera: 'left', 'right' or 'center', optionally with 'top' or 'bottom'
+	// The capabilities of each light (RGB, color temperature) are read from the Hue bridge.
+	LIGHTS: [
+		{ id: 1, name: 'Left key light', role: 'key', position: 'bottom left' },
+		{ id: 2, name: 'Right key light', role: 'key', position: 'bottom right' },
+		{ id: 3, name: 'Back light', role: 'back', position: 'center' },
+		{ id: 4, name: 'Left Lightstrip', role: 'accent', position: 'top left' },
+		{ id: 5, name: 'Right Lightstrip', role: 'accent', position: 'top right' },
+	],
 
-	// Back light ID
-	BACK_LIGHT_ID: 3,
+	// Effect journal file, recording the effect in progress to restore the lights if the bot stops in the middle of it
+	EFFECT_JOURNAL_FILE: 'effect-journal.json',
 
-	// RGB Lightstrip IDs (as seen by the camera)
-	LEFT_LIGHTSTRIP_ID: 4,
-	RIGHT_LIGHTSTRIP_ID: 5,
+	// Scene library file, where the scenes saved with !savescene are stored (relative to the bot directory)
+	SCENE_LIBRARY_FILE: 'scenes.json',
 
-	// Initial light settings
+	// Initial light settings, replaced by the default scene of the library when there is one (see !defaultscene)
+	// Keys can be a light name, a role, a position ('left', 'right', 'top', 'bottom', 'center') or 'all'.
+	// Settings of the later keys override the ones of the previous keys.
 	INITIAL_LIGHT_SETTINGS: {
-		LEFT_KEY_LIGHT_ID: { on: true, bri: 254, k: 6500 },
-		RIGHT_KEY_LIGHT_ID: { on: true, bri: 254, k: 6500 },
-		BACK_LIGHT_ID: { on: true, bri: 254, k: 6500 },
-		LEFT_LIGHTSTRIP_ID: { on: true, bri: 254, colormode: 'xy', xy: [0.3659, 0.1506] },
-		RIGHT_LIGHTSTRIP_ID: { on: true, bri: 254, colormode: 'xy', xy: [0.1559, 0.1521] },
+		'key': { on: true, bri: 254, k: 6500 },
+		'back': { on: true, bri: 254, k: 6500 },
+		'Left Lightstrip': { on: true, bri: 254, colormode: 'xy', xy: [0.3659, 0.1506] },
+		'Right Lightstrip': { on: true, bri: 254, colormode: 'xy', xy: [0.1559, 0.1521] },
 	},
 
 	// Color schemes
+	// keywords: Words typed by the viewers, listed by the !colors command. The first one is the name of the scheme.
+	// aliases: Other words for the scheme, ie in other languages (optional)
+	// Settings are Hue light state values. Instead of xy or ct, a setting can have a color: hex code, CSS color name,
+	// 'rgb(...)', 'hsl(...)' or temperature ('3000K'), converted to the gamut of each light (ie { on: true, color: 'hotpink' }).
 	COLOR_SCHEMES: [
 		{
 			keywords: ['red'],
+			aliases: ['rouge', 'rot', 'rojo', 'rosso'],
 			settings: [
 				{ on: true, bri: 254, colormode: 'xy', xy: [0.6833, 0.3092] },
 			],
 		},
 		{
 			keywords: ['green'],
+			aliases: ['vert', 'grün', 'verde'],
 			settings: [
 				{ on: true, bri: 254, colormode: 'xy', xy: [0.17, 0.7] },
 			],
 		},
 		{
 			keywords: ['blue'],
+			aliases: ['bleu', 'blau', 'azul', 'blu'],
 			settings: [
 				{ on: true, bri: 254, colormode: 'xy', xy: [0.1532, 0.0475] },
 			],
 		},
 		{
 			keywords: ['yellow'],
+			aliases: ['jaune', 'gelb', 'amarillo', 'giallo'],
 			settings: [
 				{ on: true, bri: 254, colormode: 'xy', xy: [0.3615, 0.5561] },
 			],
@@ -104,8 +235,152 @@ module.exports = {
 				{ on: true, bri: 254, colormode: 'xy', xy: [0.1559, 0.1521] },
 			],
 		},
+		{
+			keywords: ['warm'],
+			settings: [
+				{ on: true, bri: 254, color: '2700K' },
+			],
+		},
+		{
+			keywords: ['cold', 'cool'],
+			settings: [
+				{ on: true, bri: 254, color: '6500K' },
+			],
+		},
 	],
 
 	// Transition duration for color change
 	COLOR_TRANSITION: 1000,
+
+	// Alert colors by sub tier (prime, 1, 2, 3): RGB color or color string, null to use the chat color of the viewer
+	SUB_TIER_COLORS: {
+		prime: null,
+		1: null,
+		2: 'silver',
+		3: 'gold',
+	},
+
+	// Event rules
+	// Each Twitch event (raid, sub, resub, subgift, submysterygift, cheer, hypetrainbegin, hypetrainlevel, hypetrainend,
+	// follow, firstmessage, reward) is mapped to a list of rules.
+	// The effect of the first rule matching the event is played.
+	// when: Conditions on the event values, either an exact value or a { min, max } range (optional)
+	//   raid: viewers
+	//   sub: tier (1, 2 or 3), prime (true or false), count (number of subs, more than 1 when merged)
+	//   resub: tier, prime, count, months (cumulative months)
+	//   subgift: tier, prime, count (number of gifted subs, more than 1 when merged), months (streak months)
+	//   submysterygift: tier, prime, count (number of gifted subs)
+	//   cheer: bits
+	//   hypetrainbegin, hypetrainlevel (level up), hypetrainend: level
+	//   follow, firstmessage (first-time chatter): count (more than 1 when merged)
+	//   reward (channel points rewards other than the color reward): rewardId, count
+	//   All events with a viewer: userColor (chat color of the viewer), the sub events: tierColor (see SUB_TIER_COLORS)
+	//   and color (tier color, or chat color when the tier has none). Colors are missing when unknown.
+	// effect: Key of the effect to play (see EFFECTS)
+	// priority: Priority of the effect in the action queue (see ACTION_QUEUE, default raid: 3, 5+ gifts and hype trains: 2, follows and first-time chatters: 0, others: 1)
+	// params: Effect parameters. A parameter can scale with an event value using
+	//   { scale: <value>, from: [<value>, <param>], to: [<value>, <param>], log: <true for a logarithmic scale> }
+	//   Numbers and arrays of numbers (ie colors) are interpolated. Without from and to, the parameter is the event value.
+	//   A default value can be added with { scale: <value>, default: <param> }, for when the event value is missing.
+	//   Without default, the effect default is used.
+	// Events missing here keep their default rules.
+	EVENT_RULES: {
+		raid: [
+			{
+				effect: 'rotating',
+				priority: 3,
+				params: {
+					color: { scale: 'viewers', from: [10, [255, 128, 0]], to: [2000, [255, 0, 0]], log: true },
+					k: 2000,
+					loops: { scale: 'viewers', from: [10, 6], to: [2000, 20], log: true },
+				},
+			},
+		],
+		submysterygift: [
+			{ when: { count: { min: 5 } }, effect: 'flashing', priority: 2, params: { k: 6500, loops: { scale: 'count', from: [5, 8], to: [50, 20] } } },
+			{ effect: 'flashing', priority: 1, params: { k: 6500, loops: 5 } },
+		],
+		cheer: [
+			{ when: { bits: { min: 1000 } }, effect: 'flashing', priority: 1, params: { k: 6500, loops: { scale: 'bits', from: [1000, 2], to: [10000, 10] } } },
+		],
+		hypetrainlevel: [
+			{ effect: 'hypetrain', priority: 2, params: { bri: { scale: 'level', from: [1, 96], to: [5, 254] }, loops: { scale: 'level', from: [2, 6], to: [5, 12] } } },
+		],
+		// Channel points rewards other than the color reward, by reward ID
+		reward: [
+			{ when: { rewardId: 'yyyyyyyy-yyyy-yyyy-yyyy-yyyyyyyyyyyy' }, effect: 'rotating', priority: 1, params: { color: [0, 255, 128], loops: 4 } },
+			{ when: { rewardId: 'zzzzzzzz-zzzz-zzzz-zzzz-zzzzzzzzzzzz' }, effect: 'glow', params: { color: [255, 255, 0], loops: 3 } },
+		],
+	},
+
+	// Action queue
+	// preemption: A running effect is aborted when an effect with a higher priority arrives (ie a raid during a bits alert).
+	//             Priorities are set in the event rules (priority) or in the effects.
+	// coalesceWindow: Identical events arriving within this delay (in ms) are merged into one effect, their values being summed.
+	// maxLength: Maximum number of pending actions
+	// overflow: What to do when the queue is full: 'summarize' merges the last event into a pending one of the same type,
+	//           'drop' drops the newest action with the lowest priority.
+	ACTION_QUEUE: {
+		preemption: true,
+		coalesceWindow: 3000,
+		maxLength: 10,
+		overflow: 'summarize',
+	},
+
+	// Lighting schedule, for long streams (optional)
+	// Each entry starts at a clock time, every day (at: '19:00'), or after an uptime of the bot (after: '2h').
+	// Uptime entries can repeat (every: '1h'), the first time after one period unless after is set.
+	// Durations are made of hours, minutes and seconds (ie '1h30m').
+	// An entry applies either:
+	//   scene: A scene of the library (see !savescene)
+	//   settings: Light settings by light selector, as in INITIAL_LIGHT_SETTINGS
+	//   lights, from, to: A gradual change of the lights from the from settings to the to settings during the duration
+	// duration: Time during which the scene or settings are applied, the lights being set back afterwards (optional)
+	// name: Name of the entry, displayed in the logs (optional)
+	// The schedule waits for the end of the effects. Clock times passed before the bot starts are not applied, except for
+	// the gradual changes in progress.
+	SCHEDULE: [
+		// { name: 'Evening shift', at: '19:00', duration: '4h', lights: 'key', from: { k: 6500 }, to: { k: 3500 } },
+		// { name: 'Late night', at: '23:00', scene: 'chill' },
+		// { name: 'Break', every: '1h', duration: '5m', settings: { 'accent': { on: true, color: 'teal' }, 'key': { bri: 64 } } },
+	],
+
+	// Audio-reactive mode, started with !audio (optional)
+	// The lights pulse with the audio energy and change color on the beats.
+	// input: 'stdin', or the path of a named pipe or of a WAV file
+	// sampleRate, channels, bitDepth: Format of the raw PCM input (signed little-endian integers). WAV files use their own.
+	// loop: Play the WAV files in a loop
+	// lights: Light selector of the color lights to drive
+	// minBri: Brightness of the lights when the audio is silent
+	// requestShare: Share of the bridge requests used by the audio mode, the rest being left to the effects
+	// The effects pause the audio mode, which resumes once they end.
+	AUDIO: {
+		input: 'stdin',
+		sampleRate: 44100,
+		channels: 2,
+		bitDepth: 16,
+		loop: true,
+		lights: 'accent',
+		minBri: 16,
+		requestShare: 0.8,
+	},
+
+	// Custom light effects
+	// See effects.js for the format of the effects and the built-in ones.
+	EFFECTS: {
+		pulse: {
+			name: 'Pulse',
+			params: { color: [128, 0, 255], loops: 3 },
+			lights: 'accent',
+			sequences: [
+				{
+					repeat: '$loops',
+					frames: [
+						{ lights: { 'all': { on: true, effect: 'none', bri: 254, color: '$color' } }, transition: 500, duration: 500 },
+						{ lights: { 'all': { bri: 1 } }, transition: 500, duration: 500 },
+					],
+				},
+			],
+		},
+	},
 };
\ No newline at end of file
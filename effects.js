@@ -0,0 +1,137 @@
+// Built-in light effects
+//
+// An effect is played by the bot as a list of sequences, each sequence being a list of frames repeated a number of times.
+// name: Name of the effect, displayed in the logs
+// params: Default values of the parameters. Any string value starting with '$' in the effect refers to a parameter (ie '$color').
+//         The '$rate' parameter is the delay between two requests allowed by the Hue bridge, in ms.
+// lights: Lights taking part in the effect (see light selectors in config.js). Frames only apply to these lights.
+// others: State applied to the other lights when the effect starts (optional)
+// sequences: List of sequences
+//   repeat: Number of times the frames of the sequence are played (default 1)
+//   frames: List of frames
+//     lights: State to apply to the lights, by light selector. Lights matching several selectors get the merged states.
+//             A state contains Hue light state values (on, bri, ct, xy, effect...) plus:
+//             color: RGB color or color string (see colors.js), applied to the lights having RGB support
+//             k: Temperature in Kelvin, applied to the other lights (or all of them when there is no color)
+//     transition: Transition duration of the light states, in ms (default 0)
+//     duration: Minimum duration of the frame, in ms (default 0)
+//
+// Effects defined in the EFFECTS setting of config.js are added to these ones, or replace them when they have the same key.
+module.exports = {
+	// The light beam rotates counterclockwise around the center of the rig, as seen by the camera.
+	rotating: {
+		name: 'Rotating lights',
+		params: { color: [255, 64, 0], k: 2000, loops: 8 },
+		lights: ['key', 'accent'],
+		others: { on: false },
+		sequences: [
+			{
+				frames: [
+					// Disable effects
+					{ lights: { 'accent': { effect: 'none' } }, transition: '$rate' },
+					// 0 0
+					// 1 1
+					{
+						lights: {
+							'all': { on: true, bri: 254, k: '$k' },
+							'accent': { color: '$color' },
+							'top': { bri: 1 },
+						},
+						transition: '$rate',
+					},
+				],
+			},
+			{
+				repeat: '$loops',
+				frames: [
+					// 0 1
+					// 0 1
+					{ lights: { 'right': { bri: 254 }, 'left': { bri: 1 } }, transition: '$rate' },
+					// 1 1
+					// 0 0
+					{ lights: { 'top': { bri: 254 }, 'bottom': { bri: 1 } }, transition: '$rate' },
+					// 1 0
+					// 1 0
+					{ lights: { 'left': { bri: 254 }, 'right': { bri: 1 } }, transition: '$rate' },
+					// 0 0
+					// 1 1
+					{ lights: { 'bottom': { bri: 254 }, 'top': { bri: 1 } }, transition: '$rate' },
+				],
+			},
+		],
+	},
+
+	// The left and right lights flash alternately, as seen by the camera. The accent lights take the color, when there is one.
+	flashing: {
+		name: 'Flashing lights',
+		params: { k: 6500, color: null, loops: 8 },
+		lights: ['key', 'accent'],
+		others: { on: false },
+		sequences: [
+			{
+				frames: [
+					// Disable effects
+					{ lights: { 'accent': { effect: 'none' } } },
+					// 1 0
+					// 1 0
+					{ lights: { 'all': { on: true, bri: 254, k: '$k' }, 'accent': { color: '$color' }, 'right': { bri: 1 } }, duration: 400 },
+				],
+			},
+			{
+				repeat: '$loops',
+				frames: [
+					// 0 1
+					// 0 1
+					{ lights: { 'left': { bri: 1 }, 'right': { bri: 254 } }, duration: 400 },
+					// 1 0
+					// 1 0
+					{ lights: { 'right': { bri: 1 }, 'left': { bri: 254 } }, duration: 400 },
+				],
+			},
+		],
+	},
+
+	// The lights beat with the color of the hype train. The brightness rises with the level of the train.
+	hypetrain: {
+		name: 'Hype train',
+		params: { color: [255, 0, 128], k: 4000, bri: 254, loops: 6 },
+		lights: ['key', 'accent'],
+		sequences: [
+			{
+				frames: [
+					// Disable effects
+					{ lights: { 'accent': { effect: 'none' } }, transition: '$rate' },
+				],
+			},
+			{
+				repeat: '$loops',
+				frames: [
+					{ lights: { 'all': { on: true, bri: '$bri', k: '$k' }, 'accent': { color: '$color' } }, transition: 100, duration: 300 },
+					{ lights: { 'all': { bri: 1 } }, transition: 200, duration: 300 },
+				],
+			},
+		],
+	},
+
+	// The accent lights softly glow with a color, the other lights stay as they are.
+	glow: {
+		name: 'Glow',
+		params: { color: [145, 70, 255], loops: 1 },
+		lights: 'accent',
+		sequences: [
+			{
+				frames: [
+					// Disable effects
+					{ lights: { 'all': { effect: 'none' } }, transition: '$rate' },
+				],
+			},
+			{
+				repeat: '$loops',
+				frames: [
+					{ lights: { 'all': { on: true, bri: 254, color: '$color' } }, transition: 500, duration: 1000 },
+					{ lights: { 'all': { bri: 64 } }, transition: 500, duration: 500 },
+				],
+			},
+		],
+	},
+};
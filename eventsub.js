@@ -0,0 +1,313 @@
+// Twitch EventSub WebSocket client
+//
+// Connects to the EventSub WebSocket server, subscribes to the events of the channel once the session is welcomed
+// and passes the notifications to a handler. Follows the reconnect messages of the server without losing the
+// subscriptions, and reconnects with a new session when the keepalive messages stop or the connection is lost.
+// See https://dev.twitch.tv/docs/eventsub/handling-websocket-events/
+const WebSocket = require('ws');
+
+// Default EventSub settings
+const DEFAULT_SETTINGS = {
+	url: 'wss://eventsub.wss.twitch.tv/ws',
+	apiUrl: 'https://api.twitch.tv/helix',
+	clientId: null,
+	token: null,
+	broadcasterId: null,
+	events: null,
+};
+
+// Subscription versions and conditions, by event type. ID is the broadcaster user ID.
+const SUBSCRIPTIONS = {
+	'channel.raid': { version: '1', condition: id => ({ to_broadcaster_user_id: id }) },
+	'channel.cheer': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.subscribe': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.subscription.gift': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.subscription.message': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.follow': { version: '2', condition: id => ({ broadcaster_user_id: id, moderator_user_id: id }) },
+	'channel.channel_points_custom_reward_redemption.add': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.hype_train.begin': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.hype_train.progress': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.hype_train.end': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.poll.begin': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+	'channel.poll.end': { version: '1', condition: id => ({ broadcaster_user_id: id }) },
+};
+
+// Additional time to wait for a message after the keepalive timeout, in ms
+const KEEPALIVE_MARGIN = 5000;
+
+// Min and max delays between two connection attempts, in ms
+const [MIN_RECONNECT_DELAY, MAX_RECONNECT_DELAY] = [1000, 60000];
+
+// Number of message IDs kept to ignore the messages sent twice
+const MAX_MESSAGE_IDS = 100;
+
+// Client settings
+let settings = null;
+
+// Notification handler
+let onNotification = null;
+
+// Current WebSocket connection
+let socket = null;
+
+// Connection following a reconnect message, until it's welcomed
+let reconnectSocket = null;
+
+// Current session ID
+let sessionId = null;
+
+// Keepalive timer
+let keepaliveTimer = null;
+
+// Reconnection timer
+let reconnectTimer = null;
+
+// Delay before the next connection attempt, in ms
+let reconnectDelay = MIN_RECONNECT_DELAY;
+
+// IDs of the last messages received
+let messageIds = [];
+
+// Connection status: 'disconnected', 'connecting', 'connected' or 'reconnecting'
+let status = 'disconnected';
+
+/**
+ * Call the Twitch API.
+ * @param {string} method
+ * @param {string} path
+ * @param {object} [body]
+ * @return {object}
+ */
+async function callApi(method, path, body) {
+	const response = await fetch(`${settings.apiUrl}${path}`, {
+		method,
+		headers: {
+			'Client-Id': settings.clientId,
+			'Authorization': `Bearer ${settings.token}`,
+			'Content-Type': 'application/json',
+		},
+		body: body && JSON.stringify(body),
+	});
+	const result = await response.json().catch(() => ({}));
+	if (!response.ok) {
+		throw new Error(`${response.status} ${result.message || response.statusText}`);
+	}
+	return result;
+}
+
+/**
+ * Get the user ID of the broadcaster, from the settings or from the token.
+ * @return {string}
+ */
+async function getBroadcasterId() {
+	if (!settings.broadcasterId) {
+		const { data } = await callApi('GET', '/users');
+		settings.broadcasterId = data[0].id;
+	}
+	return settings.broadcasterId;
+}
+
+/**
+ * Subscribe to the events for the current session.
+ * A failed subscription (ie missing token scope) doesn't prevent the other ones.
+ */
+async function subscribe() {
+	const broadcasterId = await getBroadcasterId();
+	const types = settings.events || Object.keys(SUBSCRIPTIONS);
+	for (let type of types) {
+		const { version, condition } = SUBSCRIPTIONS[type];
+		try {
+			await callApi('POST', '/eventsub/subscriptions', {
+				type,
+				version,
+				condition: condition(broadcasterId),
+				transport: { method: 'websocket', session_id: sessionId },
+			});
+		} catch (error) {
+			console.error(`Unable to subscribe to the ${type} EventSub event: ${error.message}`);
+		}
+	}
+	console.log(`Subscribed to ${types.length} EventSub events.`);
+}
+
+/**
+ * Restart the keepalive timer. The connection is considered lost when no message is received before its end.
+ * @param {WebSocket} ws
+ * @param {int} timeout Keepalive timeout, in seconds
+ */
+function resetKeepalive(ws, timeout) {
+	clearTimeout(keepaliveTimer);
+	keepaliveTimer = setTimeout(() => {
+		console.log(`No EventSub keepalive received, reconnecting...`);
+		ws.terminate();
+	}, timeout * 1000 + KEEPALIVE_MARGIN);
+}
+
+/**
+ * Handle a message of the EventSub server.
+ * @param {WebSocket} ws Connection receiving the message
+ * @param {object} message
+ */
+function handleMessage(ws, { metadata, payload }) {
+	// Ignore the messages of the old connection during a reconnection
+	if (ws !== socket && metadata.message_type !== 'session_welcome') {
+		return;
+	}
+
+	switch (metadata.message_type) {
+		case 'session_welcome': {
+			const { session } = payload;
+			if (ws !== socket) {
+				// The subscriptions have been moved to the new connection: close the old one
+				const oldSocket = socket;
+				socket = ws;
+				reconnectSocket = null;
+				oldSocket && oldSocket.close();
+			}
+			sessionId = session.id;
+			status = 'connected';
+			reconnectDelay = MIN_RECONNECT_DELAY;
+			ws.keepaliveTimeout = session.keepalive_timeout_seconds || ws.keepaliveTimeout;
+			resetKeepalive(ws, ws.keepaliveTimeout);
+			console.log(`EventSub session ${sessionId} ${ws.isReconnection ? 'resumed' : 'started'}.`);
+			if (!ws.isReconnection) {
+				subscribe().catch(error => console.error(`Unable to subscribe to the EventSub events: ${error.message}`));
+			}
+			return;
+		}
+
+		case 'session_keepalive':
+			resetKeepalive(ws, ws.keepaliveTimeout);
+			return;
+
+		case 'notification':
+			resetKeepalive(ws, ws.keepaliveTimeout);
+			// Messages may be sent twice
+			if (messageIds.includes(metadata.message_id)) {
+				return;
+			}
+			messageIds = [...messageIds, metadata.message_id].slice(-MAX_MESSAGE_IDS);
+			try {
+				onNotification(payload.subscription.type, payload.event);
+			} catch (error) {
+				console.error(`Unable to handle the ${payload.subscription.type} EventSub event:`, error);
+			}
+			return;
+
+		case 'session_reconnect':
+			// Connect to the new URL, the current connection stays open until the new one is welcomed
+			console.log(`EventSub server asked to reconnect.`);
+			status = 'reconnecting';
+			openConnection(payload.session.reconnect_url, true);
+			return;
+
+		case 'revocation':
+			console.log(`EventSub subscription to ${payload.subscription.type} revoked: ${payload.subscription.status}.`);
+			return;
+	}
+}
+
+/**
+ * Open a connection to the EventSub server.
+ * @param {string} url
+ * @param {boolean} [isReconnection=false] The connection follows a reconnect message and keeps the subscriptions
+ * @return {WebSocket}
+ */
+function openConnection(url, isReconnection = false) {
+	const ws = new WebSocket(url);
+	ws.isReconnection = isReconnection;
+	ws.keepaliveTimeout = 10;
+	if (isReconnection) {
+		reconnectSocket && reconnectSocket.terminate();
+		reconnectSocket = ws;
+	} else {
+		socket = ws;
+		status = 'connecting';
+	}
+
+	ws.on('message', data => {
+		try {
+			handleMessage(ws, JSON.parse(data));
+		} catch (error) {
+			console.error(`Invalid EventSub message: ${error.message}`);
+		}
+	});
+	ws.on('error', error => {
+		console.error(`EventSub connection error: ${error.message}`);
+	});
+	ws.on('close', (code, reason) => {
+		if (ws === reconnectSocket) {
+			reconnectSocket = null;
+			if (settings === null) {
+				return;
+			}
+			// The reconnection failed before the welcome message: start a new session instead
+			console.log(`EventSub reconnection failed (${code}${reason.length ? ` ${reason}` : ''}), starting a new session...`);
+			if (socket) {
+				socket.terminate();
+			} else {
+				openConnection(settings.url);
+			}
+			return;
+		}
+		if (ws !== socket || settings === null) {
+			return;
+		}
+		// The connection is lost: start a new session
+		clearTimeout(keepaliveTimer);
+		socket = null;
+		sessionId = null;
+		status = 'disconnected';
+		console.log(`EventSub connection closed (${code}${reason.length ? ` ${reason}` : ''}), reconnecting in ${reconnectDelay / 1000}s...`);
+		reconnectTimer = setTimeout(() => openConnection(settings.url), reconnectDelay);
+		reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+	});
+	return ws;
+}
+
+/**
+ * Start the EventSub client.
+ * @param {object} clientSettings { url, apiUrl, clientId, token, broadcasterId, events }
+ * @param {function} handler Notification handler, called with the subscription type and the event
+ */
+function startEventSub(clientSettings, handler) {
+	settings = { ...DEFAULT_SETTINGS, ...clientSettings };
+	for (let type of settings.events || []) {
+		if (!SUBSCRIPTIONS[type]) {
+			throw new Error(`Invalid EventSub event "${type}". Valid events are: ${Object.keys(SUBSCRIPTIONS).join(', ')}.`);
+		}
+	}
+	onNotification = handler;
+	console.log(`Connecting to Twitch EventSub...`);
+	openConnection(settings.url);
+}
+
+/**
+ * Stop the EventSub client.
+ */
+function stopEventSub() {
+	settings = null;
+	clearTimeout(keepaliveTimer);
+	clearTimeout(reconnectTimer);
+	reconnectSocket && reconnectSocket.close();
+	reconnectSocket = null;
+	socket && socket.close();
+	socket = null;
+	sessionId = null;
+	status = 'disconnected';
+}
+
+/**
+ * Get the status of the EventSub client.
+ * @return {object} { status, sessionId }
+ */
+function getEventSubStatus() {
+	return { status, sessionId };
+}
+
+module.exports = {
+	EVENTSUB_EVENTS: Object.keys(SUBSCRIPTIONS),
+	startEventSub,
+	stopEventSub,
+	getEventSubStatus,
+};
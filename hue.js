@@ -0,0 +1,58 @@
+// Philips Hue bridge helpers, shared by the bot and the setup wizard
+const { v3, discovery } = require('node-hue-api');
+const LightState = v3.lightStates.LightState;
+
+// Number of blinks of a light being identified
+const BLINK_COUNT = 6;
+
+// Duration of each blink step, in ms
+const BLINK_DURATION = 250;
+
+// Color temperature of the blinks (6500K)
+const BLINK_CT = 153;
+
+/**
+ * Find the Hue bridges on the LAN, using the Philips discovery portal.
+ * @return {array} { ip, name, id } for each bridge which responds
+ */
+async function discoverBridges() {
+	const results = await discovery.nupnpSearch();
+	return results
+		.filter(result => !result.error)
+		.map(({ ipaddress, config }) => ({ ip: ipaddress, name: config.name, id: config.bridgeid }));
+}
+
+/**
+ * Connect to a Hue bridge.
+ * An address with a port (ie '127.0.0.1:8080') is reached over plain HTTP, to use a local mock bridge.
+ * @param {string} address IP address of the bridge, optionally followed by a port
+ * @param {string} [username] User on the bridge, none to create a user
+ * @param {int} [timeout] Request timeout, in ms
+ * @return {Promise<object>} Bridge API
+ */
+function connectBridge(address, username, timeout) {
+	const [, host, port] = /^(.*?)(?::(\d+))?$/.exec(address);
+	const bootstrap = port ? v3.api.createInsecureLocal(host, parseInt(port, 10)) : v3.api.createLocal(host);
+	return bootstrap.connect(username, undefined, timeout);
+}
+
+/**
+ * Make a light blink so it can be identified. The light is left off.
+ * @param {function} setLightState Function setting a light state: (lightId, lightState, transition) => Promise
+ * @param {int} lightId
+ * @param {function} [beforeStep] Function called before each step, ie to abort the blinks by throwing
+ */
+async function blinkLight(setLightState, lightId, beforeStep = () => {}) {
+	for (let blink = 1; blink <= BLINK_COUNT; blink++) {
+		beforeStep();
+		await setLightState(lightId, new LightState().on().ct(BLINK_CT).bri(254), BLINK_DURATION);
+		beforeStep();
+		await setLightState(lightId, new LightState().off(), BLINK_DURATION);
+	}
+}
+
+module.exports = {
+	discoverBridges,
+	connectBridge,
+	blinkLight,
+};
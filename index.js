@@ -1,57 +1,304 @@
 const tmi = require('tmi.js');
-const { v3, discovery } = require('node-hue-api');
+const { v3 } = require('node-hue-api');
 const LightState = v3.lightStates.LightState;
 const http = require('http');
-
-// Get configuration
-const CONFIG = require('./config.js');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { isDeepStrictEqual } = require('util');
+const { discoverBridges, connectBridge, blinkLight } = require('./hue.js');
+const { EVENTSUB_EVENTS, startEventSub, stopEventSub, getEventSubStatus } = require('./eventsub.js');
+const { CSS_COLORS, parseColor, findClosestName, rgbToXy, xyToRgb, rgbToHex, kelvinToXy, rgbToBri, clampToGamut } = require('./colors.js');
+const { LEGACY_LIGHT_KEYS, validateConfig } = require('./schema.js');
+const { DEFAULT_COLOR_LIGHTS, getLegacyLights, parseLightConfig, selectLights, checkLightConfig } = require('./lights.js');
+const { getScheduleOccurrence } = require('./schedule.js');
+const { startAudioInput, stopAudioInput } = require('./audio.js');
+const { startObs, stopObs, sendObsRequest, getObsStatus } = require('./obs.js');
+
+// Configuration file
+const CONFIG_FILE = require.resolve('./config.js');
+
+// Get configuration, the bot doesn't start with invalid settings (see schema.js).
+// The references between the settings are checked once the defaults are defined (see parseConfig).
+let CONFIG = require(CONFIG_FILE);
+exitOnConfigErrors(validateConfig(CONFIG));
+
+// Settings applied when the bot starts. The other ones are applied when config.js changes (see applyConfig).
 const {
 	HTTP_PORT,
+	USE_TWITCH_EVENTS,
+	EVENTSUB = {},
+	OBS = {},
 	TWITCH_CHANNEL,
-	COLOR_REWARD_ID,
+	TWITCH_BOT_USERNAME,
+	TWITCH_BOT_OAUTH,
 	HUE_BRIDGE_USERNAME,
 	HUE_BRIDGE_IP,
-	RIGHT_KEY_LIGHT_ID,
-	LEFT_KEY_LIGHT_ID,
-	LEFT_LIGHTSTRIP_ID,
-	RIGHT_LIGHTSTRIP_ID,
-	BACK_LIGHT_ID,
-	INITIAL_LIGHT_SETTINGS,
-	COLOR_SCHEMES,
-	COLOR_TRANSITION,
 } = CONFIG;
 
+// Settings requiring a restart of the bot when they change
+const RESTART_SETTINGS = [
+	'HTTP_PORT', 'USE_TWITCH_EVENTS', 'EVENTSUB', 'OBS', 'TWITCH_CHANNEL', 'TWITCH_BOT_USERNAME', 'TWITCH_BOT_OAUTH',
+	'HUE_BRIDGE_USERNAME', 'HUE_BRIDGE_IP', 'EFFECT_JOURNAL_FILE', 'SCENE_LIBRARY_FILE',
+];
+
+// Delay between a change of config.js and its reload, so the file is complete when it's read, in ms
+const CONFIG_RELOAD_DELAY = 500;
+
+// Config reload timer
+let configReloadTimer = null;
+
+// ID of the Twitch reward used to change the colors
+let COLOR_REWARD_ID;
+
+// Lights the viewers can change with the color reward
+let COLOR_REWARD_LIGHTS;
+
+// Initial light settings, by light selector
+let INITIAL_LIGHT_SETTINGS;
+
+// Color schemes
+let COLOR_SCHEMES;
+
+// Transition duration of the color changes, in ms
+let COLOR_TRANSITION;
+
+// Configured lights
+let LIGHTS;
+
 // Light names
-const LIGHT_NAMES = {
-	[LEFT_KEY_LIGHT_ID]: 'Left key light',
-	[RIGHT_KEY_LIGHT_ID]: 'Right key light',
-	[BACK_LIGHT_ID]: 'Back light',
-	[LEFT_LIGHTSTRIP_ID]: 'Left Lightstrip',
-	[RIGHT_LIGHTSTRIP_ID]: 'Right Lightstrip',
+let LIGHT_NAMES;
+
+// Built-in light effects
+const BUILTIN_EFFECTS = require('./effects.js');
+
+// Light effects
+let EFFECTS;
+
+// Default event rules, overridden by the EVENT_RULES setting for each event
+const DEFAULT_EVENT_RULES = {
+	raid: [{ effect: 'rotating', priority: 3, params: { color: { scale: 'userColor', default: [255, 64, 0] }, k: 2000, loops: 13 } }],
+	sub: [{ effect: 'flashing', priority: 1, params: { k: 6500, color: { scale: 'color' }, loops: 5 } }],
+	resub: [
+		{ when: { months: { min: 12 } }, effect: 'rotating', priority: 1, params: { color: { scale: 'color', default: [255, 215, 0] }, k: 4000, loops: { scale: 'months', from: [12, 4], to: [60, 12] } } },
+		{ effect: 'flashing', priority: 1, params: { k: 6500, color: { scale: 'color' }, loops: { scale: 'months', from: [1, 3], to: [11, 8] } } },
+	],
+	subgift: [{ effect: 'flashing', priority: 1, params: { k: 6500, color: { scale: 'color' }, loops: 5 } }],
+	submysterygift: [
+		{ when: { count: { min: 5 } }, effect: 'flashing', priority: 2, params: { k: 6500, color: { scale: 'color' }, loops: 11 } },
+		{ effect: 'flashing', priority: 1, params: { k: 6500, color: { scale: 'color' }, loops: 5 } },
+	],
+	cheer: [{ when: { bits: { min: 1000 } }, effect: 'flashing', priority: 1, params: { k: 6500, color: { scale: 'userColor' }, loops: 2 } }],
+	hypetrainbegin: [{ effect: 'hypetrain', priority: 2, params: { bri: { scale: 'level', from: [1, 96], to: [5, 254] }, loops: 6 } }],
+	hypetrainlevel: [{ effect: 'hypetrain', priority: 2, params: { bri: { scale: 'level', from: [1, 96], to: [5, 254] }, loops: { scale: 'level', from: [2, 6], to: [5, 12] } } }],
+	hypetrainend: [{ effect: 'rotating', priority: 2, params: { color: [255, 0, 128], k: 4000, loops: { scale: 'level', from: [1, 4], to: [5, 12] } } }],
+	follow: [{ effect: 'glow', priority: 0, params: { color: [145, 70, 255], loops: 1 } }],
+	firstmessage: [{ effect: 'glow', priority: 0, params: { color: [0, 200, 255], loops: 1 } }],
+	reward: [],
+};
+
+// Event rules
+let EVENT_RULES;
+
+// Default alert colors by sub tier, null to use the chat color of the viewer
+const DEFAULT_SUB_TIER_COLORS = { prime: null, 1: null, 2: 'silver', 3: 'gold' };
+
+// Alert colors by sub tier
+let SUB_TIER_COLORS;
+
+// Chat user roles
+const USER_ROLES = ['broadcaster', 'moderator', 'vip', 'subscriber', 'everyone'];
+
+// Chat commands: aliases by command group
+const COMMAND_ALIASES = {
+	resetlights: ['resetlight', 'resetlights', 'lightreset', 'lightsreset'],
+	lighttest: ['testlight', 'lighttest', 'testlights', 'lightstest'],
+	testbits: ['bittest', 'bitstest', 'testbit', 'testbits', 'testcheer'],
+	testsub: ['subtest', 'testsub', 'subscribetest', 'testsubscribe'],
+	testresub: ['resubtest', 'testresub'],
+	testsubgift: ['subgifttest', 'testsubgift'],
+	testsubgifts: ['mysterysubgifttest', 'testmysterysubgift', 'subgiftstest', 'testsubgifts'],
+	testraid: ['raidtest', 'testraid'],
+	testrotating: ['testrotating', 'rotatingtest', 'gyrotest', 'testgyro'],
+	testeffect: ['effecttest', 'testeffect'],
+	queue: ['queue', 'actionqueue'],
+	lightstate: ['lightstate', 'lightsstate'],
+	color: ['color', 'setcolor', 'setcolors', 'testcolor', 'testcolors'],
+	colors: ['colors', 'colorlist', 'schemes'],
+	testhypetrain: ['hypetraintest', 'testhypetrain'],
+	testfollow: ['followtest', 'testfollow'],
+	testfirstmessage: ['firstmessagetest', 'testfirstmessage', 'firstmsgtest', 'testfirstmsg'],
+	testreward: ['rewardtest', 'testreward'],
+	savescene: ['savescene', 'scenesave'],
+	loadscene: ['loadscene', 'sceneload', 'scene'],
+	scenes: ['scenes', 'scenelist'],
+	deletescene: ['deletescene', 'scenedelete', 'removescene'],
+	defaultscene: ['defaultscene', 'setdefaultscene'],
+	audio: ['audio', 'audiomode', 'music'],
 };
 
+// Default roles allowed to run the commands, by command or command group
+const DEFAULT_COMMAND_PERMISSIONS = { default: ['broadcaster'], colors: ['everyone'] };
+
+// Roles allowed to run the commands, by command or command group. Commands without permission use the default one.
+let COMMAND_PERMISSIONS;
+
 // Saved scene name
 const SAVED_SCENE_NAME = 'Twitch Hue Bot saved scene';
 
 // Ordered Light IDs
-const LIGHT_IDS = [
-	LEFT_KEY_LIGHT_ID, RIGHT_KEY_LIGHT_ID, BACK_LIGHT_ID, LEFT_LIGHTSTRIP_ID, RIGHT_LIGHTSTRIP_ID,
-];
+let LIGHT_IDS;
 
 // The maximum number of request the Hue bridge can perform per second
 const MAX_REQUESTS_PER_SECOND = 10;
 
+// Number of requests a group command counts for in the rate limit: the bridge handles one group command per second
+const GROUP_REQUEST_COST = MAX_REQUESTS_PER_SECOND;
+
+// Name of the light groups created by the bot
+const GROUP_NAME = 'Twitch Hue Bot group';
+
+// Maximum number of light groups created by the bot, which are deleted when it stops or starts again after a crash
+const MAX_CREATED_GROUPS = 16;
+
 // Min and max temperatures for key lights, in Kelvin
 const [MIN_TEMPERATURE, MAX_TEMPERATURE] = [2000, 6500];
 
 // Hue bridge API object
 let hueBridgeApi;
 
+// Hue bridge connection: { status, host, error, checkedAt }, status being 'disconnected', 'connecting' or 'connected'
+const bridgeConnection = { status: 'disconnected', host: null, error: null, checkedAt: null };
+
+// Interval between two health checks of the bridge and Twitch connections, in ms
+const HEALTH_CHECK_INTERVAL = 30000;
+
+// Maximum duration of a bridge request, in ms
+const BRIDGE_REQUEST_TIMEOUT = 10000;
+
+// Min and max delays between two connection attempts to the bridge, in ms
+const [MIN_RECONNECT_DELAY, MAX_RECONNECT_DELAY] = [1000, 60000];
+
+// Bridge connection in progress
+let bridgeConnecting = null;
+
+// Bridge health check in progress
+let bridgeHealthCheck = null;
+
+// Health check timer
+let healthCheckTimer = null;
+
+// Light capabilities read from the bridge, by light ID
+let lightCapabilities = {};
+
+// Light groups of the bridge: { id, name, lightIds }
+let bridgeGroups = [];
+
+// Light groups being created, by light IDs key
+const groupCreations = {};
+
+// Available requests in the rate limiter bucket
+let requestTokens = MAX_REQUESTS_PER_SECOND;
+
+// Last time the rate limiter bucket has been refilled
+let lastTokenRefill = Date.now();
+
+// Requests waiting for the rate limiter: { cost, resolve }
+const requestQueue = [];
+
+// Rate limiter timer
+let requestQueueTimer = null;
+
 // Twitch client object
 let twitchClient;
 
-// Action queue promise
-let actionQueue = Promise.resolve();
+// Twitch chat connection: { status, error }, status being 'disconnected', 'connecting', 'connected' or 'reconnecting'
+const twitchConnection = { status: 'disconnected', error: null };
+
+// HTTP server, when enabled
+let httpServer = null;
+
+// Default chat reply templates. Values between braces are replaced, ie {user}. Empty templates disable the replies.
+const DEFAULT_CHAT_REPLIES = {
+	colorApplied: '@{user} The lights are now {scheme}.',
+	colorDeferred: '@{user} {scheme} will be applied after the current effect.',
+	colorUnknown: '@{user} Unknown color. Try {suggestions}, a color name or a hex code like #FF0080.',
+	colorQueued: '@{user} {scheme} will be applied in {delay}s.',
+	colorRejected: '@{user} Please wait {delay}s before changing the colors again.',
+	lightState: '{summary}',
+	colorList: 'Colors ({page}/{pages}): {schemes}',
+	sceneSaved: '@{user} Scene {scene} saved.',
+	sceneLoaded: '@{user} Scene {scene} loaded.',
+	sceneDeleted: '@{user} Scene {scene} deleted.',
+	sceneDefault: '@{user} Default scene: {scene}.',
+	sceneUnknown: '@{user} Unknown scene {scene}. Scenes: {scenes}.',
+	sceneInvalid: '@{user} Scene names are made of letters, digits, dashes and underscores.',
+	sceneList: 'Scenes: {scenes}',
+	audioOn: '@{user} The lights now follow the music.',
+	audioOff: '@{user} The lights no longer follow the music.',
+};
+
+// Chat reply templates
+let CHAT_REPLIES;
+
+// Maximum length of the chat messages sent by the bot (Twitch allows 500 characters)
+const MAX_CHAT_MESSAGE_LENGTH = 400;
+
+// Default chat send rate limit: number of messages per period, in ms. Twitch allows 20 messages per 30s (100 for moderators).
+const DEFAULT_CHAT_RATE_LIMIT = { messages: 20, period: 30000, maxQueued: 10 };
+
+// Chat send rate limit
+let CHAT_RATE_LIMIT;
+
+// Chat messages waiting to be sent
+const chatQueue = [];
+
+// Send times of the chat messages in the current rate limit period
+let chatSendTimes = [];
+
+// Timer of the next chat queue processing
+let chatQueueTimer = null;
+
+// Bot events, for the live event stream: twitch, effect, colors, scenes, lights, connection, config, schedule
+const botEvents = new EventEmitter();
+
+// Last known state of each light, by light ID
+const currentLightStates = {};
+
+// Light state event timer
+let lightStatesEventTimer = null;
+
+// Clients of the live event stream
+const eventStreamClients = new Set();
+
+// Default action queue settings
+const DEFAULT_ACTION_QUEUE = {
+	preemption: true,
+	coalesceWindow: 3000,
+	maxLength: 10,
+	overflow: 'summarize',
+};
+
+// Action queue settings
+let ACTION_QUEUE;
+
+// Event values summed when events are merged. The other values keep their maximum.
+const SUMMED_EVENT_VALUES = ['count', 'bits', 'viewers'];
+
+// Pending actions, in order of execution
+let pendingActions = [];
+
+// Action being run
+let runningAction = null;
+
+// Last action enqueued for each coalescing key
+let coalescedActions = {};
+
+// Number of upcoming events to ignore by coalescing key, announced by a previous event (ie the sub gifts of a mystery gift)
+let absorbedEvents = {};
+
+// Last action ID
+let lastActionId = 0;
 
 // Action are being cancelled
 let isActionCancelled = false;
@@ -59,11 +306,110 @@ let isActionCancelled = false;
 // Saved scene
 let lastSavedScene = null;
 
-// Function to be called after the scene has been restored
-let afterSceneRestore = null;
+// Functions to be called after the scene has been restored, in the order of the deferred changes
+const afterSceneRestore = [];
+
+// Effect journal file, recording the effect in progress and its saved scene (relative to the bot directory)
+const EFFECT_JOURNAL_FILE = path.resolve(__dirname, CONFIG.EFFECT_JOURNAL_FILE || 'effect-journal.json');
+
+// Maximum duration of the shutdown, in ms
+const SHUTDOWN_TIMEOUT = 10000;
+
+// The bot is shutting down
+let isShuttingDown = false;
+
+// Scene library file, relative to the bot directory
+const SCENE_LIBRARY_FILE = path.resolve(__dirname, CONFIG.SCENE_LIBRARY_FILE || 'scenes.json');
+
+// Light state properties kept in the scene presets, by color mode
+const SCENE_STATE_KEYS = { ct: ['ct'], xy: ['xy'], hs: ['hue', 'sat'] };
+
+// Scene library: { defaultScene, scenes: { <name>: { savedAt, lights: { <light ID>: <state> } } } }
+let sceneLibrary = { defaultScene: null, scenes: {} };
+
+// Current hype train level, 0 when there is no hype train
+let hypeTrainLevel = 0;
+
+// Default cooldown settings of the color reward
+const DEFAULT_COLOR_REWARD_COOLDOWN = { global: 0, user: 0, minDisplayTime: 0, policy: 'queue', maxQueued: 10 };
+
+// Cooldown settings of the color reward
+let COLOR_REWARD_COOLDOWN;
+
+// Default cooldown settings, by command or command group
+const DEFAULT_COMMAND_COOLDOWNS = { default: {}, colors: { global: 10000, policy: 'reject' } };
 
-// Subgifts stack
-const subGifts = {};
+// Cooldown settings, by command or command group. Commands without cooldown use the default one.
+let COMMAND_COOLDOWNS;
+
+// End times of the cooldowns, by cooldown name, and by cooldown name and user ID
+const cooldownEnds = {};
+
+// Number of actions waiting for the end of a cooldown, by cooldown name
+const delayedActionCounts = {};
+
+// Timers of the actions waiting for the end of a cooldown, cleared on shutdown
+const cooldownTimers = new Set();
+
+// Time until the current color scheme can be replaced by a redemption
+let colorSchemeDisplayEnd = 0;
+
+// Lighting schedule entries (see schedule.js)
+let SCHEDULE;
+
+// Interval between two runs of the lighting schedule, in ms. Gradual changes are updated at this interval.
+const SCHEDULE_INTERVAL = 10000;
+
+// Start time of the bot, origin of the uptimes in the schedule
+const botStartTime = Date.now();
+
+// Schedule timer
+let scheduleTimer = null;
+
+// Schedule action waiting in the action queue
+let scheduleAction = null;
+
+// State of each schedule entry: { key (start time of the last applied occurrence), settings, savedLights }
+let scheduleStates = [];
+
+// Lights to set back, saved by the entries removed or changed when config.js was reloaded
+let orphanedScheduleLights = [];
+
+// Default settings of the audio-reactive mode
+const DEFAULT_AUDIO = {
+	input: 'stdin',
+	sampleRate: 44100,
+	channels: 2,
+	bitDepth: 16,
+	loop: true,
+	lights: DEFAULT_COLOR_LIGHTS,
+	minBri: 16,
+	requestShare: 0.8,
+};
+
+// Settings of the audio-reactive mode
+let AUDIO;
+
+// Hue step of the lights on each beat of the audio-reactive mode
+const AUDIO_BEAT_HUE_STEP = 65536 / 12;
+
+// Light changes by OBS scene name: { scene }, { colors }, { settings }, { effect, params } or { reset }
+let OBS_SCENES;
+
+// Actions of the OBS sources used as hotkeys, by source name: 'raid', 'sub' or an effect key
+let OBS_HOTKEYS;
+
+// Effects triggered by the OBS hotkeys, the other actions being effect keys
+const OBS_HOTKEY_EFFECTS = { raid: () => doRaidEffect(), sub: () => doSubscribeEffect() };
+
+// Source of the custom events sent to OBS
+const OBS_EVENT_SOURCE = 'TwitchHueBot';
+
+// OBS client started
+let isObsStarted = false;
+
+// Audio-reactive mode, null when it's off: { lights, savedLights, analysis, beat, hue, interval, timer, isUpdating }
+let audioMode = null;
 
 /**
  * Convert the temperature in Kelvin (K) into Mired color temperature (ct).
@@ -79,789 +425,3501 @@ function kToCt(k) {
 }
 
 /**
- * Indicates if the provided light ID has RGB support.
- * @param {int} lightId
- * @return {boolean}
+ * Format the errors of config.js, one per line.
+ * @param {array} errors
+ * @return {string}
  */
-function hasRgbSupport(lightId) {
-	return lightId === LEFT_LIGHTSTRIP_ID || lightId === RIGHT_LIGHTSTRIP_ID;
+function formatConfigErrors(errors) {
+	return errors.map(error => `  ${error}`).join('\n');
 }
 
 /**
- * Waits for the given amount of milliseconds.
- * @param {number} milli
+ * Display the errors of config.js and stop the bot, if there are errors.
+ * @param {array} errors
  */
-async function delay(milli) {
-	return new Promise(resolve => setTimeout(resolve, milli));
+function exitOnConfigErrors(errors) {
+	if (errors.length > 0) {
+		console.error(`Invalid config.js:\n${formatConfigErrors(errors)}`);
+		process.exit(1);
+	}
 }
 
 /**
- * Enqueue asynchronous action.
- * @param {function<Promise>} asyncAction
+ * Check the settings of config.js and compute the bot settings from them.
+ * The schema is checked first (see schema.js), then the references between the settings:
+ * light selectors, effects, event names, commands and reply templates.
+ * @param {object} config Settings of config.js
+ * @return {object} { errors, settings }, settings being set when there are no errors
  */
-function enqueueAsyncAction(asyncAction) {
-	actionQueue = actionQueue.then(asyncAction);
+function parseConfig(config) {
+	const errors = validateConfig(config);
+	if (errors.length > 0) {
+		return { errors };
+	}
+
+	const lights = (config.LIGHTS || getLegacyLights(config)).map(parseLightConfig);
+	const settings = {
+		COLOR_REWARD_ID: config.COLOR_REWARD_ID,
+		COLOR_REWARD_LIGHTS: config.COLOR_REWARD_LIGHTS || DEFAULT_COLOR_LIGHTS,
+		INITIAL_LIGHT_SETTINGS: config.INITIAL_LIGHT_SETTINGS,
+		COLOR_SCHEMES: config.COLOR_SCHEMES,
+		COLOR_TRANSITION: config.COLOR_TRANSITION,
+		LIGHTS: lights,
+		EFFECTS: { ...BUILTIN_EFFECTS, ...config.EFFECTS },
+		EVENT_RULES: { ...DEFAULT_EVENT_RULES, ...config.EVENT_RULES },
+		SUB_TIER_COLORS: { ...DEFAULT_SUB_TIER_COLORS, ...config.SUB_TIER_COLORS },
+		CHAT_REPLIES: { ...DEFAULT_CHAT_REPLIES, ...config.CHAT_REPLIES },
+		CHAT_RATE_LIMIT: { ...DEFAULT_CHAT_RATE_LIMIT, ...config.CHAT_RATE_LIMIT },
+		ACTION_QUEUE: { ...DEFAULT_ACTION_QUEUE, ...config.ACTION_QUEUE },
+		COLOR_REWARD_COOLDOWN: { ...DEFAULT_COLOR_REWARD_COOLDOWN, ...config.COLOR_REWARD_COOLDOWN },
+		COMMAND_COOLDOWNS: { ...DEFAULT_COMMAND_COOLDOWNS, ...config.COMMAND_COOLDOWNS },
+		SCHEDULE: config.SCHEDULE || [],
+		AUDIO: { ...DEFAULT_AUDIO, ...config.AUDIO },
+		OBS_SCENES: config.OBS_SCENES || {},
+		OBS_HOTKEYS: config.OBS_HOTKEYS || {},
+	};
+	try {
+		settings.COMMAND_PERMISSIONS = parseCommandPermissions({ ...DEFAULT_COMMAND_PERMISSIONS, ...config.COMMAND_PERMISSIONS });
+	} catch (e) {
+		errors.push(`COMMAND_PERMISSIONS: ${e.message}`);
+	}
+
+	// Lights
+	errors.push(...checkLightConfig(config, lights));
+
+	// OBS scenes and hotkeys
+	for (let [sceneName, { effect }] of Object.entries(settings.OBS_SCENES)) {
+		if (effect && !Object.hasOwn(settings.EFFECTS, effect)) {
+			errors.push(`OBS_SCENES[${JSON.stringify(sceneName)}].effect: unknown effect "${effect}", effects are ${Object.keys(settings.EFFECTS).join(', ')}`);
+		}
+	}
+	for (let [sourceName, action] of Object.entries(settings.OBS_HOTKEYS)) {
+		if (!Object.hasOwn(OBS_HOTKEY_EFFECTS, action) && !Object.hasOwn(settings.EFFECTS, action)) {
+			errors.push(`OBS_HOTKEYS[${JSON.stringify(sourceName)}]: unknown action "${action}", actions are ${[...Object.keys(OBS_HOTKEY_EFFECTS), ...Object.keys(settings.EFFECTS)].join(', ')}`);
+		}
+	}
+
+	// Event rules
+	for (let [event, rules] of Object.entries(config.EVENT_RULES || {})) {
+		if (!DEFAULT_EVENT_RULES[event]) {
+			const closest = findClosestName(event, Object.keys(DEFAULT_EVENT_RULES));
+			errors.push(`EVENT_RULES.${event}: unknown event${closest ? `, did you mean ${closest}?` : ''}`);
+			continue;
+		}
+		rules.forEach(({ effect }, index) => {
+			if (!Object.hasOwn(settings.EFFECTS, effect)) {
+				errors.push(`EVENT_RULES.${event}[${index}].effect: unknown effect "${effect}", effects are ${Object.keys(settings.EFFECTS).join(', ')}`);
+			}
+		});
+	}
+
+	// Commands and replies
+	for (let command of Object.keys(config.COMMAND_COOLDOWNS || {})) {
+		if (command !== 'default' && getCommandGroup(command.toLowerCase()) === null) {
+			errors.push(`COMMAND_COOLDOWNS.${command}: unknown command`);
+		}
+	}
+	for (let reply of Object.keys(config.CHAT_REPLIES || {})) {
+		if (DEFAULT_CHAT_REPLIES[reply] === undefined) {
+			const closest = findClosestName(reply, Object.keys(DEFAULT_CHAT_REPLIES));
+			errors.push(`CHAT_REPLIES.${reply}: unknown reply${closest ? `, did you mean ${closest}?` : ''}`);
+		}
+	}
+
+	return (errors.length > 0) ? { errors } : { errors, settings };
 }
 
 /**
- * Send cancel signal to async actions.
+ * Apply the settings of config.js.
+ * @param {object} config Settings of config.js
+ * @param {object} settings Bot settings computed from them (see parseConfig)
  */
-async function cancelActions() {
-	isActionCancelled = true;
-	enqueueAsyncAction(() => { isActionCancelled = false; });
-	await actionQueue;
+function applyConfig(config, settings) {
+	CONFIG = config;
+	({
+		COLOR_REWARD_ID, COLOR_REWARD_LIGHTS, INITIAL_LIGHT_SETTINGS, COLOR_SCHEMES, COLOR_TRANSITION, LIGHTS, EFFECTS,
+		EVENT_RULES, SUB_TIER_COLORS, COMMAND_PERMISSIONS, CHAT_REPLIES, CHAT_RATE_LIMIT, ACTION_QUEUE,
+		COLOR_REWARD_COOLDOWN, COMMAND_COOLDOWNS, SCHEDULE, AUDIO, OBS_SCENES,
+		OBS_HOTKEYS,
+	} = settings);
+	LIGHT_NAMES = Object.fromEntries(LIGHTS.map(light => [light.id, light.name]));
+	LIGHT_IDS = LIGHTS.map(light => light.id);
 }
 
 /**
- * Throw error when action signal is set.
- * @throws {string}
+ * Reload config.js and apply its new settings, without interrupting the bot.
+ * Invalid settings are reported and the current ones are kept. The settings read when the bot starts
+ * (see RESTART_SETTINGS) need a restart.
  */
-function abortOnCancel() {
-	if (isActionCancelled) {
-		throw 'ABORTED';
+async function reloadConfig() {
+	let config;
+	try {
+		delete require.cache[CONFIG_FILE];
+		config = require(CONFIG_FILE);
+	} catch (e) {
+		console.error(`Unable to reload config.js, keeping the current settings: ${e.message}`);
+		return;
+	}
+	const { errors, settings } = parseConfig(config);
+	if (errors.length > 0) {
+		console.error(`Invalid config.js, keeping the current settings:\n${formatConfigErrors(errors)}`);
+		botEvents.emit('config', { status: 'invalid', errors });
+		return;
+	}
+
+	const previousConfig = CONFIG;
+	const lightsChanged = !isDeepStrictEqual(settings.LIGHTS, LIGHTS);
+	const scheduleChanged = !isDeepStrictEqual(settings.SCHEDULE, SCHEDULE);
+	applyConfig(config, settings);
+	console.log(`config.js reloaded.`);
+	const restartSettings = RESTART_SETTINGS.filter(key => !isDeepStrictEqual(config[key], previousConfig[key]));
+	if (restartSettings.length > 0) {
+		console.log(`Restart the bot to apply ${restartSettings.join(', ')}.`);
+	}
+	botEvents.emit('config', { status: 'reloaded', restartSettings });
+
+	if (hueBridgeApi && bridgeConnection.status === 'connected') {
+		try {
+			// Read the capabilities and the states of the added lights
+			if (lightsChanged) {
+				await loadLightCapabilities();
+				await refreshCurrentLightStates();
+			}
+			// Apply the new initial light settings, unless the default scene replaces them
+			if (!isDeepStrictEqual(config.INITIAL_LIGHT_SETTINGS, previousConfig.INITIAL_LIGHT_SETTINGS) && !sceneLibrary.defaultScene) {
+				enqueueAsyncAction(resetLights, { label: 'light reset' });
+			}
+			// Start the new schedule from the current time
+			if (scheduleChanged) {
+				updateScheduleStates(previousConfig.SCHEDULE || []);
+				runSchedule();
+			}
+		} catch (e) {
+			console.error(`Unable to apply the new light settings: ${e}`);
+		}
 	}
 }
 
 /**
- * Connect to the Hue bridge and returns the API object.
- * @return {Api}
+ * Watch config.js, to reload it when it changes.
+ * The directory is watched rather than the file, since editors often replace the file when saving it.
  */
-async function connectHueBridge() {
-	let host;
-	if (!HUE_BRIDGE_IP) {
-		// Find Hue bridge on the LAN
-		const foundBridges = await discovery.nupnpSearch();
-		host = foundBridges[0].ipaddress;
-	} else {
-		// Use static IP
-		host = HUE_BRIDGE_IP;
-	}
+function watchConfig() {
+	fs.watch(path.dirname(CONFIG_FILE), (eventType, filename) => {
+		if (filename !== path.basename(CONFIG_FILE)) {
+			return;
+		}
+		clearTimeout(configReloadTimer);
+		configReloadTimer = setTimeout(reloadConfig, CONFIG_RELOAD_DELAY);
+	});
+}
 
-	// Connect to the bridge
-	hueBridgeApi = await v3.api.createLocal(host).connect(HUE_BRIDGE_USERNAME);
+/**
+ * Get the configured lights matching the selector (see selectLights in lights.js).
+ * @param {int|string|array} selector
+ * @param {array} [lights] Lights to select from, the configured lights by default
+ * @return {array} Matching lights, in the configuration order
+ */
+function getLights(selector, lights = LIGHTS) {
+	return selectLights(selector, lights);
+}
 
-	return hueBridgeApi;
+/**
+ * Indicates if the provided light ID has RGB support.
+ * @param {int} lightId
+ * @return {boolean}
+ */
+function hasRgbSupport(lightId) {
+	return !!(lightCapabilities[lightId] && lightCapabilities[lightId].rgb);
 }
 
 /**
- * Set light state
+ * Indicates if the provided light ID supports color temperatures.
  * @param {int} lightId
- * @param {LightState} lightState
- * @param {int} [transition]
- * @returns {Promise}
+ * @return {boolean}
  */
-async function setLightState(lightId, lightState, transition = null) {
-	if (!lightId) {
-		(transition !== null) && await delay(transition);
-		return;
+function hasTemperatureSupport(lightId) {
+	return !!(lightCapabilities[lightId] && lightCapabilities[lightId].ct);
+}
+
+/**
+ * Get the color gamut of a light.
+ * @param {int} lightId
+ * @return {array|undefined} [[red x, red y], [green x, green y], [blue x, blue y]], undefined if unknown
+ */
+function getLightGamut(lightId) {
+	return (lightCapabilities[lightId] && lightCapabilities[lightId].gamut) || undefined;
+}
+
+/**
+ * Convert a color value into a parsed color.
+ * @param {array|string|object} color RGB array, color string (see parseColor) or parsed color
+ * @return {object|null} { rgb } or { k }
+ */
+function toColor(color) {
+	if (Array.isArray(color)) {
+		return { rgb: color };
 	}
-	if (transition !== null) {
-		lightState.transition(transition);
+	if (typeof color === 'string') {
+		return parseColor(color);
 	}
-	await hueBridgeApi.lights.setLightState(lightId, lightState);
+	return color || null;
 }
 
 /**
- * Save the current scene.
+ * Set a color to a light state, according to the capabilities of the light.
+ * RGB colors are converted into CIE xy coordinates within the gamut of the light.
+ * Temperatures are set as color temperatures when supported, as xy coordinates otherwise.
+ * @param {LightState} lightState
+ * @param {object} light
+ * @param {object} color Parsed color: { rgb } or { k }
+ * @param {boolean} [withBrightness=false] Also set the brightness matching the RGB color
+ * @return {boolean} false if the light can't display the color
  */
-async function saveScene() {
-	// Scene has already been saved
-	if (lastSavedScene) {
-		return;
+function setLightStateColor(lightState, light, color, withBrightness = false) {
+	const gamut = getLightGamut(light.id);
+	if (color.rgb && hasRgbSupport(light.id)) {
+		lightState.xy(...rgbToXy(color.rgb, gamut));
+		withBrightness && lightState.bri(rgbToBri(color.rgb));
+		return true;
 	}
-
-	const lightIds = [...LIGHT_IDS].filter(id => !!id);
-	if (lightIds.length === 0) {
-		return;
+	if (color.k !== undefined) {
+		if (hasTemperatureSupport(light.id) || !hasRgbSupport(light.id)) {
+			lightState.ct(kToCt(color.k));
+		} else {
+			lightState.xy(...kelvinToXy(color.k, gamut));
+		}
+		return true;
 	}
-	const savedScene = v3.model.createLightScene();
-	savedScene.name = SAVED_SCENE_NAME;
-	savedScene.lights = lightIds;
-	lastSavedScene = await hueBridgeApi.scenes.createScene(savedScene);
+	return false;
 }
 
 /**
- * Restore the last scene.
+ * Read the capabilities of the configured lights from the bridge.
  */
-async function restoreScene() {
-	if (lastSavedScene) {
-		await hueBridgeApi.scenes.activateScene(lastSavedScene.id);
-		await hueBridgeApi.scenes.deleteScene(lastSavedScene.id); // We don't need this anymore
-		if (afterSceneRestore) {
-			await afterSceneRestore();
-			afterSceneRestore = null;
+async function loadLightCapabilities() {
+	const bridgeLights = await hueBridgeApi.lights.getAll();
+	lightCapabilities = {};
+	for (let light of LIGHTS) {
+		const bridgeLight = bridgeLights.find(bridgeLight => bridgeLight.id === light.id);
+		if (!bridgeLight) {
+			console.warn(`${light.name} (${light.id}) was not found on the Hue bridge.`);
+			continue;
 		}
-		lastSavedScene = null;
+		const control = (bridgeLight.capabilities && bridgeLight.capabilities.control) || {};
+		lightCapabilities[light.id] = {
+			type: bridgeLight.type,
+			rgb: !!control.colorgamut,
+			ct: !!control.ct,
+			gamut: control.colorgamut || null,
+		};
 	}
 }
 
 /**
- * Log the current light states
+ * Waits for the given amount of milliseconds.
+ * @param {number} milli
  */
-async function logLightState() {
-	for (let lightId of LIGHT_IDS) {
-		const lightName = LIGHT_NAMES[lightId];
-		const state = await hueBridgeApi.lights.getLightState(lightId);
-		console.log(`State for ${lightName} (${lightId}):`, JSON.stringify(state));
-	}
+async function delay(milli) {
+	return new Promise(resolve => setTimeout(resolve, milli));
 }
 
 /**
- * Reset the light settings to the default
+ * Enqueue asynchronous action.
+ * Actions are run by decreasing priority then in order of arrival.
+ * @param {function<Promise>} asyncAction Function called with the action object
+ * @param {object} [options]
+ * @param {string} [options.label] Name of the action, for the logs
+ * @param {int} [options.priority=0] Priority of the action
+ * @param {boolean} [options.preemptible=false] The action can be aborted by an action with a higher priority
+ * Other options are stored as properties of the action object.
+ * @return {object|null} The action object, null when the bot is shutting down
  */
-async function resetLights() {
-	console.log(`Resetting lights to their default settings...`);
-	const promises = [];
-	for (let key of Object.keys(INITIAL_LIGHT_SETTINGS)) {
-		const lightId = CONFIG[key];
-		const lightSettings = { ...INITIAL_LIGHT_SETTINGS[key] };
+function enqueueAsyncAction(asyncAction, options = {}) {
+	if (isShuttingDown) {
+		return null;
+	}
+	const { label = asyncAction.name || 'action', priority = 0, preemptible = false, ...properties } = options;
+	const action = { ...properties, id: ++lastActionId, label, priority, preemptible, run: asyncAction, createdAt: Date.now() };
 
-		// Convert temperature values in Kelvin into ct
-		if (lightSettings.k !== undefined) {
-			lightSettings.ct = kToCt(lightSettings.k);
-		}
+	// Insert after the actions having the same or a higher priority
+	const index = pendingActions.findIndex(pendingAction => pendingAction.priority < priority);
+	pendingActions.splice((index === -1) ? pendingActions.length : index, 0, action);
 
-		// Always effects in the first place
-		if (hasRgbSupport(lightId)) {
-			promises.push(setLightState(lightId, new LightState().effectNone()));
-		}
+	// Preempt the running action
+	if (ACTION_QUEUE.preemption && runningAction && runningAction.preemptible && runningAction.priority < priority && !isActionCancelled) {
+		console.log(`Preempting ${runningAction.label} with ${label}.`);
+		isActionCancelled = true;
+	}
+
+	trimActionQueue();
+	processActions();
+	return action;
+}
 
-		// Apply light settings
-		promises.push(setLightState(lightId, new LightState().populate(lightSettings), 100));
+/**
+ * Merge two sets of event values.
+ * @param {object} values
+ * @param {object} otherValues
+ * @return {object}
+ */
+function mergeEventValues(values, otherValues) {
+	const mergedValues = { ...values };
+	for (let [name, value] of Object.entries(otherValues)) {
+		if (typeof value !== 'number' || typeof mergedValues[name] !== 'number') {
+			mergedValues[name] = (mergedValues[name] === undefined) ? value : mergedValues[name];
+		} else if (SUMMED_EVENT_VALUES.includes(name)) {
+			mergedValues[name] += value;
+		} else {
+			mergedValues[name] = Math.max(mergedValues[name], value);
+		}
 	}
-	await Promise.all(promises);
-	console.log(`Resetting lights done.`);
+	return mergedValues;
 }
 
 /**
- * Perform a test of each light to make sure they are properly configured.
+ * Get the label of an event action.
+ * @param {object} action
+ * @return {string}
  */
-async function lightTest() {
-	console.log(`Light test starting...`);
-	await saveScene();
+function getEventActionLabel(action) {
+	const details = Object.entries(action.values).map(([name, value]) => `${name}: ${value}`).join(', ');
+	return `${action.event} event (${details})`;
+}
 
-	try {
-		abortOnCancel();
+/**
+ * Enqueue the light effect of an event.
+ * An event having the same coalescing key as a pending action enqueued within the coalescing window is merged into it.
+ * @param {string} event
+ * @param {object} values
+ * @param {int} priority
+ * @param {object} [options]
+ * @param {string} [options.key] Coalescing key, defaults to the event name
+ * @param {function} runEffect Function called with the action object to play the effect
+ */
+function enqueueEventAction(event, values, priority, options, runEffect) {
+	const { key = event } = options;
+	const coalescedAction = coalescedActions[key];
+
+	// Merge into the pending action
+	if (coalescedAction && pendingActions.includes(coalescedAction) && Date.now() - coalescedAction.createdAt <= ACTION_QUEUE.coalesceWindow) {
+		coalescedAction.values = mergeEventValues(coalescedAction.values, values);
+		coalescedAction.label = getEventActionLabel(coalescedAction);
+		console.log(`Merged ${event} event into ${coalescedAction.label}.`);
+		return;
+	}
 
-		// Turn all the lights off
-		const promises = [];
-		promises.push(setLightState(LEFT_LIGHTSTRIP_ID, new LightState().effectNone()));
-		promises.push(setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().effectNone()));
-		for (let lightId of LIGHT_IDS) {
-			promises.push(setLightState(lightId, new LightState().off(), 0));
+	const label = getEventActionLabel({ event, values });
+	coalescedActions[key] = enqueueAsyncAction(runEffect, { label, priority, preemptible: true, event, key, values });
+}
+
+/**
+ * Make sure the action queue does not exceed its maximum length.
+ * With the 'summarize' overflow policy, the last pending event is merged into a previous pending one of the same event type.
+ * Otherwise, or if there is nothing to merge, the newest action with the lowest priority is dropped.
+ */
+function trimActionQueue() {
+	while (ACTION_QUEUE.maxLength && pendingActions.length > ACTION_QUEUE.maxLength) {
+		const lastEventAction = [...pendingActions].reverse().find(action => action.event);
+		const summaryAction = lastEventAction && pendingActions.find(action => action !== lastEventAction && action.event === lastEventAction.event);
+		let droppedAction;
+		if (ACTION_QUEUE.overflow === 'summarize' && summaryAction) {
+			droppedAction = lastEventAction;
+			summaryAction.values = mergeEventValues(summaryAction.values, lastEventAction.values);
+			summaryAction.label = getEventActionLabel(summaryAction);
+			console.log(`Action queue is full: ${lastEventAction.label} merged into ${summaryAction.label}.`);
+		} else {
+			droppedAction = pendingActions[pendingActions.length - 1];
+			console.log(`Action queue is full: ${droppedAction.label} dropped.`);
 		}
-		await Promise.all(promises);
+		pendingActions = pendingActions.filter(action => action !== droppedAction);
+		if (coalescedActions[droppedAction.key] === droppedAction) {
+			delete coalescedActions[droppedAction.key];
+		}
+	}
+}
 
-		abortOnCancel();
+/**
+ * Run the pending actions until the queue is empty.
+ */
+async function processActions() {
+	if (runningAction) {
+		return;
+	}
+	while (pendingActions.length) {
+		runningAction = pendingActions.shift();
+		try {
+			await runningAction.run(runningAction);
+		} catch (e) {
+			console.error(`Action ${runningAction.label} failed:`, e);
+		}
+		isActionCancelled = false;
 
-		await delay(1500);
+		// Forget the coalesced actions which are no longer pending
+		for (let [key, action] of Object.entries(coalescedActions)) {
+			if (!pendingActions.includes(action)) {
+				delete coalescedActions[key];
+			}
+		}
 
-		// Make each light blink
-		for (let lightId of LIGHT_IDS) {
-			console.log(`Testing ${LIGHT_NAMES[lightId]} with ID ${lightId}...`);
-			for (let blink = 1; blink <= 6; blink++) {
-				abortOnCancel();
-				await setLightState(lightId, new LightState().on().ct(kToCt(6500)).bri(254), 250);
-				abortOnCancel();
-				await setLightState(lightId, new LightState().off(), 250);
+		// Restore the scene left by aborted effects
+		if (pendingActions.length === 0 && lastSavedScene) {
+			runningAction = { id: ++lastActionId, label: 'scene restoration', priority: 0, preemptible: false, createdAt: Date.now() };
+			try {
+				await restoreScene();
+			} catch (e) {
+				console.error(`Scene restoration failed:`, e);
 			}
+			isActionCancelled = false;
 		}
+	}
+	runningAction = null;
+}
 
-		abortOnCancel();
+/**
+ * Get a summary of an action for inspection.
+ * @param {object} action
+ * @return {object}
+ */
+function getActionSummary(action) {
+	const { id, label, priority, event, values } = action;
+	return { id, label, priority, event, values, age: Date.now() - action.createdAt };
+}
 
-		await delay(1500);
+/**
+ * Get the state of the action queue.
+ * @return {object} { running, pending }
+ */
+function getActionQueueState() {
+	return {
+		running: runningAction && getActionSummary(runningAction),
+		pending: pendingActions.map(getActionSummary),
+	};
+}
 
-		abortOnCancel();
+/**
+ * Log the state of the action queue.
+ */
+function logActionQueue() {
+	const { running, pending } = getActionQueueState();
+	console.log(`Running action: ${running ? running.label : 'none'}.`);
+	console.log(`Pending actions (${pending.length}):`);
+	for (let action of pending) {
+		console.log(`  #${action.id} ${action.label} (priority ${action.priority}, waiting for ${Math.round(action.age / 1000)}s)`);
+	}
+}
 
-		// Restore the previous lights state
-		console.log(`Restoring state...`);
-		await restoreScene();
+/**
+ * Drop the pending actions.
+ */
+function clearActionQueue() {
+	pendingActions = [];
+	coalescedActions = {};
+}
 
-		console.log(`Light test complete.`);
+/**
+ * Abort the running action, if it can be cancelled.
+ * @return {boolean} true if an action is being aborted
+ */
+async function cancelRunningAction() {
+	const action = runningAction;
+	if (!action) {
+		return false;
+	}
+	isActionCancelled = true;
+	while (runningAction === action) {
+		await delay(10);
+	}
+	return true;
+}
 
-	} catch (e) {
-		console.log(`Light test stopped: ${e}`);
+/**
+ * Send cancel signal to async actions.
+ * The pending actions are dropped and the running one is aborted.
+ */
+async function cancelActions() {
+	clearActionQueue();
+	while (runningAction) {
+		await cancelRunningAction();
 	}
 }
 
 /**
- * Plays a rotating light effect.
- * @param {array} [rgb=[255, 64, 0]] RGB color of the Lightstrip
- * @param {int} [k=2000] Temperature of the keylights in Kelvin
- * @param {int} [num=6] Number of rotations to perform
+ * Throw error when action signal is set.
+ * @throws {string}
  */
-async function rotatingLight(rgb = [255, 64, 0], k = MIN_TEMPERATURE, num = 8) {
-	console.log(`Playing rotating lights effect...`);
+function abortOnCancel() {
+	if (isActionCancelled) {
+		throw 'ABORTED';
+	}
+}
 
-	// Set the flashing rate to the maximum allowed by the API
-	const rate = 1000 / MAX_REQUESTS_PER_SECOND;
+/**
+ * Connect to the Hue bridge and returns the API object.
+ * @return {Api}
+ */
+async function connectHueBridge() {
+	let host;
+	if (!HUE_BRIDGE_IP) {
+		// Find Hue bridge on the LAN
+		const foundBridges = await withTimeout(discoverBridges(), BRIDGE_REQUEST_TIMEOUT, 'The Hue bridge discovery timed out.');
+		if (foundBridges.length === 0) {
+			throw new Error('No Hue bridge found on the network. Set HUE_BRIDGE_IP in config.js.');
+		}
+		host = foundBridges[0].ip;
+	} else {
+		// Use static IP
+		host = HUE_BRIDGE_IP;
+	}
+
+	// Connect to the bridge
+	bridgeConnection.host = host;
+	hueBridgeApi = await withTimeout(connectBridge(host, HUE_BRIDGE_USERNAME, BRIDGE_REQUEST_TIMEOUT), BRIDGE_REQUEST_TIMEOUT, `The Hue bridge ${host} doesn't respond.`);
 
-	// Convert color temperature
-	const ct = kToCt(k);
+	// Get the light capabilities, groups and states
+	await loadLightCapabilities();
+	await loadBridgeGroups();
+	await refreshCurrentLightStates();
 
-	// Save the current lights state
-	await saveScene();
+	return hueBridgeApi;
+}
+
+/**
+ * Let the waiting requests through the rate limiter, as long as the bucket has enough tokens.
+ */
+function processRequestQueue() {
+	const now = Date.now();
+	requestTokens = Math.min(MAX_REQUESTS_PER_SECOND, requestTokens + (now - lastTokenRefill) * MAX_REQUESTS_PER_SECOND / 1000);
+	lastTokenRefill = now;
+
+	while (requestQueue.length && requestTokens >= requestQueue[0].cost) {
+		const { cost, resolve } = requestQueue.shift();
+		requestTokens -= cost;
+		resolve();
+	}
 
-	// Prepare light states
-	const offState = new LightState().bri(1);
-	const onState = new LightState().bri(254);
+	// Wait for the bucket to have enough tokens for the next request
+	if (requestQueue.length && !requestQueueTimer) {
+		const missingTokens = requestQueue[0].cost - requestTokens;
+		requestQueueTimer = setTimeout(() => {
+			requestQueueTimer = null;
+			processRequestQueue();
+		}, Math.ceil(missingTokens * 1000 / MAX_REQUESTS_PER_SECOND));
+	}
+}
 
+/**
+ * Perform a Hue bridge request through the rate limiter.
+ * @param {function<Promise>} request
+ * @param {int} [cost=1] Number of requests it counts for
+ * @return {Promise}
+ */
+async function bridgeRequest(request, cost = 1) {
+	if (bridgeConnection.status === 'disconnected') {
+		throw new Error('The Hue bridge is not connected.');
+	}
+	await new Promise(resolve => {
+		requestQueue.push({ cost: Math.min(cost, MAX_REQUESTS_PER_SECOND), resolve });
+		processRequestQueue();
+	});
 	try {
-		abortOnCancel();
+		return await withTimeout(request(), BRIDGE_REQUEST_TIMEOUT, 'The Hue bridge request timed out.');
+	} catch (e) {
+		// The request may have failed because the bridge is unreachable
+		checkBridgeHealth();
+		throw e;
+	}
+}
 
-		// Disable effects and unneeded lights
-		await Promise.all([
-			setLightState(BACK_LIGHT_ID, new LightState().off(), rate),
-			setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().effectNone()),
-			setLightState(LEFT_LIGHTSTRIP_ID, new LightState().effectNone()),
-		]);
+/**
+ * Reject a promise which takes too long.
+ * @param {Promise} promise
+ * @param {int} timeout In ms
+ * @param {string} message Error message
+ * @return {Promise}
+ */
+function withTimeout(promise, timeout, message) {
+	let timer;
+	return Promise.race([
+		promise,
+		new Promise((resolve, reject) => {
+			timer = setTimeout(() => reject(new Error(message)), timeout);
+		}),
+	]).finally(() => clearTimeout(timer));
+}
 
-		abortOnCancel();
+/**
+ * Update the status of a connection, logging and notifying the changes.
+ * @param {string} name Connection name: 'bridge' or 'twitch'
+ * @param {object} connection Connection object (bridgeConnection or twitchConnection)
+ * @param {string} status
+ * @param {string|null} [error]
+ */
+function setConnectionStatus(name, connection, status, error = null) {
+	const changed = (connection.status !== status);
+	connection.status = status;
+	connection.error = error;
+	if (changed) {
+		botEvents.emit('connection', { name, status, error });
+	}
+}
 
-		// Set initial state
-		// 0 0
-		// 1 1
-		await Promise.all([
-			setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().on().rgb(rgb).bri(1), rate),
-			setLightState(LEFT_LIGHTSTRIP_ID, new LightState().on().rgb(rgb).bri(1), rate),
-			setLightState(LEFT_KEY_LIGHT_ID, new LightState().on().ct(ct).bri(254), rate),
-			setLightState(RIGHT_KEY_LIGHT_ID, new LightState().on().ct(ct).bri(254), rate),
-		]);
+/**
+ * Connect to the Hue bridge, retrying with an increasing delay until it succeeds.
+ * The light capabilities, groups and states are read again, the lights are not reset.
+ * @return {Promise}
+ */
+function waitForHueBridge() {
+	if (!bridgeConnecting) {
+		bridgeConnecting = (async () => {
+			let reconnectDelay = MIN_RECONNECT_DELAY;
+			for (;;) {
+				setConnectionStatus('bridge', bridgeConnection, 'connecting', bridgeConnection.error);
+				console.log(`Connecting to the Hue bridge...`);
+				try {
+					await connectHueBridge();
+					bridgeConnection.checkedAt = Date.now();
+					setConnectionStatus('bridge', bridgeConnection, 'connected');
+					console.log(`Hue bridge connected.`);
+
+					// Restore the scene which couldn't be restored while the bridge was unreachable
+					if (lastSavedScene) {
+						enqueueAsyncAction(restoreScene, { label: 'scene restoration' });
+					}
+					return;
+				} catch (e) {
+					setConnectionStatus('bridge', bridgeConnection, 'disconnected', e.message);
+					console.error(`Unable to connect to the Hue bridge: ${e.message}. Retrying in ${reconnectDelay / 1000}s...`);
+					await delay(reconnectDelay);
+					reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+				}
+			}
+		})().finally(() => bridgeConnecting = null);
+	}
+	return bridgeConnecting;
+}
 
-		// Perform rotating red light effect
-		for (let i = 1; i <= num; i++) {
+/**
+ * Check that the Hue bridge still responds, and reconnect when it doesn't.
+ * @return {Promise}
+ */
+function checkBridgeHealth() {
+	if (bridgeConnection.status !== 'connected' || bridgeHealthCheck) {
+		return bridgeHealthCheck || Promise.resolve();
+	}
+	bridgeHealthCheck = (async () => {
+		try {
+			await withTimeout(hueBridgeApi.configuration.getConfiguration(), BRIDGE_REQUEST_TIMEOUT, 'The Hue bridge doesn\'t respond.');
+			bridgeConnection.checkedAt = Date.now();
+		} catch (e) {
+			setConnectionStatus('bridge', bridgeConnection, 'disconnected', e.message);
+			console.error(`Hue bridge connection lost: ${e.message}`);
+			waitForHueBridge();
+		}
+	})().finally(() => bridgeHealthCheck = null);
+	return bridgeHealthCheck;
+}
 
-			abortOnCancel();
+/**
+ * Check the Twitch chat connection, and reconnect when the client has given up.
+ */
+function checkTwitchHealth() {
+	if (!twitchClient || isShuttingDown || twitchClient.readyState() !== 'CLOSED' || twitchConnection.status === 'reconnecting') {
+		return;
+	}
+	console.log(`Twitch chat disconnected, reconnecting...`);
+	twitchClient.connect().catch(e => console.error(`Unable to connect to the Twitch chat: ${e}`));
+}
 
-			// 0 1
-			// 0 1
-			await Promise.all([
-				setLightState(RIGHT_LIGHTSTRIP_ID, onState, rate),
-				setLightState(LEFT_KEY_LIGHT_ID, offState, rate),
-			]);
+/**
+ * Get the status of the connections.
+ * @return {object} { bridge, twitch, eventSub, obs }
+ */
+function getConnectionStatus() {
+	return {
+		bridge: { ...bridgeConnection },
+		twitch: { ...twitchConnection },
+		eventSub: getEventSubStatus(),
+		obs: getObsStatus(),
+	};
+}
 
-			abortOnCancel();
+/**
+ * Read the light groups from the bridge.
+ * The groups left by a previous run of the bot are deleted.
+ */
+async function loadBridgeGroups() {
+	const groups = await hueBridgeApi.groups.getAll();
+	bridgeGroups = groups
+		.filter(group => group.type !== 'Entertainment')
+		.map(group => ({ id: group.id, name: group.name, lightIds: (group.lights || []).map(id => parseInt(id, 10)) }));
+	await deleteCreatedGroups();
+}
 
-			// 1 1
-			// 0 0
-			await Promise.all([
-				setLightState(LEFT_LIGHTSTRIP_ID, onState, rate),
-				setLightState(RIGHT_KEY_LIGHT_ID, offState, rate),
-			]);
+/**
+ * Delete the light groups created by the bot from the bridge.
+ */
+async function deleteCreatedGroups() {
+	const createdGroups = bridgeGroups.filter(group => group.name === GROUP_NAME);
+	bridgeGroups = bridgeGroups.filter(group => group.name !== GROUP_NAME);
+	for (let { id } of createdGroups) {
+		try {
+			await bridgeRequest(() => hueBridgeApi.groups.deleteGroup(id));
+		} catch (e) {
+			console.error(`Unable to delete the light group ${id}: ${e.message}`);
+		}
+	}
+}
 
-			abortOnCancel();
+/**
+ * Get the ID of a bridge group containing exactly the provided lights.
+ * An existing room, zone or group is used when possible, otherwise a new group is created.
+ * @param {array} lightIds
+ * @return {int|null} null if there is no group and none can be created
+ */
+async function getGroupId(lightIds) {
+	const key = [...lightIds].sort((a, b) => a - b).join(',');
+	const group = bridgeGroups.find(group => [...group.lightIds].sort((a, b) => a - b).join(',') === key);
+	if (group) {
+		return group.id;
+	}
+	if (bridgeGroups.filter(group => group.name === GROUP_NAME).length >= MAX_CREATED_GROUPS) {
+		return null;
+	}
 
-			// 1 0
-			// 1 0
-			await Promise.all([
-				setLightState(LEFT_KEY_LIGHT_ID, onState, rate),
-				setLightState(RIGHT_LIGHTSTRIP_ID, offState, rate),
-			]);
+	if (!groupCreations[key]) {
+		groupCreations[key] = bridgeRequest(async () => {
+			const lightGroup = v3.model.createLightGroup();
+			lightGroup.name = GROUP_NAME;
+			lightGroup.lights = lightIds.map(String);
+			const createdGroup = await hueBridgeApi.groups.createGroup(lightGroup);
+			bridgeGroups.push({ id: createdGroup.id, name: GROUP_NAME, lightIds });
+			console.log(`Created light group ${createdGroup.id} for lights ${key}.`);
+			return createdGroup.id;
+		}).finally(() => delete groupCreations[key]);
+	}
+	return groupCreations[key];
+}
 
-			abortOnCancel();
+/**
+ * Set light state
+ * @param {int} lightId
+ * @param {LightState} lightState
+ * @param {int} [transition]
+ * @returns {Promise}
+ */
+async function setLightState(lightId, lightState, transition = null) {
+	if (!lightId) {
+		(transition !== null) && await delay(transition);
+		return;
+	}
+	if (transition !== null) {
+		lightState.transition(transition);
+	}
+	await bridgeRequest(() => hueBridgeApi.lights.setLightState(lightId, lightState));
+	updateCurrentLightStates([lightId], lightState.getPayload());
+}
 
-			// 0 0
-			// 1 1
-			await Promise.all([
-				setLightState(RIGHT_KEY_LIGHT_ID, onState, rate),
-				setLightState(LEFT_LIGHTSTRIP_ID, offState, rate),
-			]);
-		}
+/**
+ * Set the same light state to several lights.
+ * The commands are folded into a group command when it costs less of the rate limit than the light commands,
+ * so the effect frames keep their timing.
+ * @param {array} lightIds
+ * @param {LightState} lightState
+ * @param {int} [transition]
+ * @returns {Promise}
+ */
+async function setLightsState(lightIds, lightState, transition = null) {
+	lightIds = lightIds.filter(lightId => !!lightId);
+	if (transition !== null) {
+		lightState.transition(transition);
+	}
 
-		abortOnCancel();
+	// RGB values are converted by the bridge API for each light so they can't be sent to groups.
+	const payload = lightState.getPayload();
+	const groupId = (lightIds.length > GROUP_REQUEST_COST && payload.rgb === undefined) ? await getGroupId(lightIds) : null;
+	if (groupId === null) {
+		await Promise.all(lightIds.map(lightId => setLightState(lightId, lightState)));
+		return;
+	}
 
-		// Restore previous lights state
-		await restoreScene();
+	const groupState = new v3.lightStates.GroupLightState().populate(payload);
+	await bridgeRequest(() => hueBridgeApi.groups.setGroupState(groupId, groupState), GROUP_REQUEST_COST);
+	updateCurrentLightStates(lightIds, payload);
+}
 
-		console.log(`Rotating lights effect complete.`);
-	} catch (e) {
-		console.log(`Rotating lights effect stopped: ${e}`);
+/**
+ * Update the last known state of the lights and notify the change.
+ * @param {array} lightIds
+ * @param {object} payload Light state values sent to the bridge
+ */
+function updateCurrentLightStates(lightIds, payload) {
+	const { transitiontime, ...state } = payload;
+	for (let lightId of lightIds) {
+		currentLightStates[lightId] = { ...currentLightStates[lightId], ...state };
 	}
+	emitLightStates();
 }
 
 /**
- * Plays a flashing light effect.
- * @param {int} [k=2000] Temperature in Kelvin
- * @param {int} [num=4] Number of flashes to perform
+ * Read the state of the lights from the bridge, to be called when they have been changed by other means.
  */
-async function flashingLight(k = MAX_TEMPERATURE, num = 8) {
-	console.log(`Playing flashing lights effect...`);
+async function refreshCurrentLightStates() {
+	for (let light of LIGHTS) {
+		currentLightStates[light.id] = await bridgeRequest(() => hueBridgeApi.lights.getLightState(light.id));
+	}
+	emitLightStates();
+}
 
-	// Set the flashing rate to the maximum allowed by the API
-	const rate = 1000 / MAX_REQUESTS_PER_SECOND;
+/**
+ * Emit the lights event with the last known states.
+ * Events are throttled so the stream is not flooded during effects.
+ */
+function emitLightStates() {
+	if (lightStatesEventTimer) {
+		return;
+	}
+	lightStatesEventTimer = setTimeout(() => {
+		lightStatesEventTimer = null;
+		botEvents.emit('lights', LIGHTS.map(({ id, name, role }) => ({ id, name, role, state: currentLightStates[id] || {} })));
+	}, 100);
+}
 
-	// Convert color temperature
-	const ct = kToCt(k);
+/**
+ * Set light states to several lights, folding the identical ones into group commands.
+ * @param {array} lightStates List of [lightId, LightState]
+ * @param {int} [transition]
+ * @returns {Promise}
+ */
+async function setLightStates(lightStates, transition = null) {
+	const batches = new Map();
+	for (let [lightId, lightState] of lightStates) {
+		if (transition !== null) {
+			lightState.transition(transition);
+		}
+		const key = JSON.stringify(lightState.getPayload());
+		if (!batches.has(key)) {
+			batches.set(key, { lightIds: [], lightState });
+		}
+		batches.get(key).lightIds.push(lightId);
+	}
+	await Promise.all([...batches.values()].map(({ lightIds, lightState }) => setLightsState(lightIds, lightState)));
+}
 
-	// Save the current lights state
-	await saveScene();
+/**
+ * Save the current scene.
+ */
+async function saveScene() {
+	// Scene has already been saved
+	if (lastSavedScene) {
+		return;
+	}
 
-	try {
-		abortOnCancel();
+	const lightIds = LIGHT_IDS.filter(id => !!id);
+	if (lightIds.length === 0) {
+		return;
+	}
+	const savedScene = v3.model.createLightScene();
+	savedScene.name = SAVED_SCENE_NAME;
+	savedScene.lights = lightIds;
+	lastSavedScene = await bridgeRequest(() => hueBridgeApi.scenes.createScene(savedScene));
+	await writeEffectJournal({
+		sceneId: lastSavedScene.id,
+		action: runningAction ? runningAction.label : null,
+		startedAt: new Date().toISOString(),
+	});
+}
 
-		// Disable effects and unneeded lights
-		await Promise.all([
-			setLightState(BACK_LIGHT_ID, new LightState().off(), 0),
-			setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().effectNone()),
-			setLightState(LEFT_LIGHTSTRIP_ID, new LightState().effectNone()),
-		]);
+/**
+ * Restore the last scene.
+ */
+async function restoreScene() {
+	if (lastSavedScene) {
+		await bridgeRequest(() => hueBridgeApi.scenes.activateScene(lastSavedScene.id), GROUP_REQUEST_COST);
+		await bridgeRequest(() => hueBridgeApi.scenes.deleteScene(lastSavedScene.id)); // We don't need this anymore
+		await writeEffectJournal(null);
+		if (eventStreamClients.size) {
+			await refreshCurrentLightStates();
+		}
+		while (afterSceneRestore.length > 0) {
+			await afterSceneRestore.shift()();
+		}
+		lastSavedScene = null;
 
-		abortOnCancel();
+		// Pick up the lighting schedule where the effect left it
+		runSchedule();
+	}
+}
 
-		// Set initial state
-		// 1 0
-		// 1 0
-		await Promise.all([
-			setLightState(RIGHT_KEY_LIGHT_ID, new LightState().on().ct(ct).bri(1), 0),
-			setLightState(LEFT_KEY_LIGHT_ID, new LightState().on().ct(ct).bri(254), 0),
-			setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().on().ct(ct).bri(1), 0),
-			setLightState(LEFT_LIGHTSTRIP_ID, new LightState().on().ct(ct).bri(254), 0),
-			delay(rate * 4)
-		]);
+/**
+ * Write the effect journal, or remove it when no effect is in progress.
+ * A failure is only logged: the journal must not stop the effects.
+ * @param {object|null} journal { sceneId, action, startedAt }
+ */
+async function writeEffectJournal(journal) {
+	try {
+		if (journal) {
+			await fs.promises.writeFile(EFFECT_JOURNAL_FILE, JSON.stringify(journal, null, '\t') + '\n');
+		} else {
+			await fs.promises.rm(EFFECT_JOURNAL_FILE, { force: true });
+		}
+	} catch (e) {
+		console.error(`Unable to write the effect journal: ${e.message}`);
+	}
+}
 
-		// Prepare light states
-		const offState = new LightState().bri(1);
-		const onState = new LightState().bri(254);
+/**
+ * Read the effect journal left by the last run.
+ * @return {object|null} { sceneId, action, startedAt }, null when there is none
+ */
+async function readEffectJournal() {
+	try {
+		return JSON.parse(await fs.promises.readFile(EFFECT_JOURNAL_FILE, 'utf8'));
+	} catch (e) {
+		if (e.code !== 'ENOENT') {
+			console.error(`Invalid effect journal ${EFFECT_JOURNAL_FILE}: ${e.message}`);
+		}
+		return null;
+	}
+}
 
-		// Perform rotating red light effect
-		for (let i = 1; i <= num; i++) {
+/**
+ * Clean up the scenes saved by a previous run which stopped in the middle of an effect.
+ * The scene of the journal, or the only saved scene when there is no journal, is restored. The other ones are deleted.
+ * @return {boolean} true if the lights have been restored to their state before the effect
+ */
+async function recoverSavedScenes() {
+	const journal = await readEffectJournal();
+	const scenes = await bridgeRequest(() => hueBridgeApi.scenes.getSceneByName(SAVED_SCENE_NAME));
+	if (journal) {
+		console.log(`The bot has been stopped during ${journal.action || 'an effect'} (started at ${journal.startedAt}).`);
+	}
 
-			abortOnCancel();
+	const restoredScene = scenes.find(scene => journal && scene.id === journal.sceneId) || ((scenes.length === 1) ? scenes[0] : null);
+	if (restoredScene) {
+		console.log(`Restoring the lights from the saved scene ${restoredScene.id}...`);
+		await bridgeRequest(() => hueBridgeApi.scenes.activateScene(restoredScene.id), GROUP_REQUEST_COST);
+		await refreshCurrentLightStates();
+	}
+	for (let scene of scenes) {
+		await bridgeRequest(() => hueBridgeApi.scenes.deleteScene(scene.id));
+	}
+	if (scenes.length) {
+		console.log(`${scenes.length} saved scenes left by the last run deleted.`);
+	}
+	await writeEffectJournal(null);
+	return !!restoredScene;
+}
 
-			// 0 1
-			// 0 1
-			await Promise.all([
-				setLightState(LEFT_KEY_LIGHT_ID, offState, 0),
-				setLightState(RIGHT_KEY_LIGHT_ID, onState, 0),
-				setLightState(LEFT_LIGHTSTRIP_ID, offState, 0),
-				setLightState(RIGHT_LIGHTSTRIP_ID, onState, 0),
-				delay(rate * 4)
-			]);
+/**
+ * Log the current light states
+ * @return {array} { id, name, role, state } for each light
+ */
+async function logLightState() {
+	const lightStates = await getLightStates();
+	for (let { id, name, state } of lightStates) {
+		console.log(`State for ${name} (${id}):`, JSON.stringify(state));
+	}
+	return lightStates;
+}
 
-			abortOnCancel();
+/**
+ * Get the current light states
+ * @return {array} { id, name, role, state } for each light
+ */
+async function getLightStates() {
+	const lightStates = [];
+	for (let light of LIGHTS) {
+		const state = await bridgeRequest(() => hueBridgeApi.lights.getLightState(light.id));
+		lightStates.push({ id: light.id, name: light.name, role: light.role, state });
+	}
+	return lightStates;
+}
 
-			// 1 0
-			// 1 0
-			await Promise.all([
-				setLightState(RIGHT_KEY_LIGHT_ID, offState, 0),
-				setLightState(LEFT_KEY_LIGHT_ID, onState, 0),
-				setLightState(RIGHT_LIGHTSTRIP_ID, offState, 0),
-				setLightState(LEFT_LIGHTSTRIP_ID, onState, 0),
-				delay(rate * 4)
-			]);
+/**
+ * Load the scene library from its file. A missing file is an empty library.
+ * @throws {Error} The file can't be read or is not a valid scene library
+ */
+async function loadSceneLibrary() {
+	let content;
+	try {
+		content = await fs.promises.readFile(SCENE_LIBRARY_FILE, 'utf8');
+	} catch (e) {
+		if (e.code === 'ENOENT') {
+			return;
 		}
+		throw new Error(`Unable to read the scene library ${SCENE_LIBRARY_FILE}: ${e.message}`);
+	}
+	try {
+		const library = JSON.parse(content);
+		const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+		if (!isObject(library) || (library.scenes !== undefined && !isObject(library.scenes))) {
+			throw new Error('expected { defaultScene, scenes }');
+		}
+		const { defaultScene = null, scenes = {} } = library;
+		// Drop the invalid names, such as the names of the Object properties
+		const validScenes = Object.fromEntries(Object.entries(scenes).filter(([name]) => normalizeSceneName(name) === name));
+		sceneLibrary = { defaultScene: Object.hasOwn(validScenes, defaultScene) ? defaultScene : null, scenes: validScenes };
+	} catch (e) {
+		throw new Error(`Invalid scene library ${SCENE_LIBRARY_FILE}: ${e.message}`);
+	}
+	console.log(`${Object.keys(sceneLibrary.scenes).length} scenes loaded${sceneLibrary.defaultScene ? `, default scene: ${sceneLibrary.defaultScene}` : ''}.`);
+}
 
-		abortOnCancel();
+/**
+ * Write the scene library to its file.
+ * The library is written to a temporary file first so a crash doesn't leave it half written.
+ */
+async function writeSceneLibrary() {
+	const temporaryFile = `${SCENE_LIBRARY_FILE}.tmp`;
+	await fs.promises.writeFile(temporaryFile, JSON.stringify(sceneLibrary, null, '\t') + '\n');
+	await fs.promises.rename(temporaryFile, SCENE_LIBRARY_FILE);
+}
 
-		// Restore previous lights state
-		await restoreScene();
+/**
+ * Normalize a scene name: lowercase, words joined by dashes.
+ * @param {string} name
+ * @return {string} Normalized name, empty when invalid
+ */
+function normalizeSceneName(name) {
+	const normalizedName = String(name || '').trim().toLowerCase().replace(/\s+/g, '-');
+	return (/^[\p{L}\p{N}_-]{1,32}$/u.test(normalizedName) && !(normalizedName in Object.prototype)) ? normalizedName : '';
+}
 
-		console.log(`Flashing lights effect complete.`);
-	} catch (e) {
-		console.log(`Flashing lights effect stopped: ${e}`);
+/**
+ * Indicates if the library has a scene.
+ * @param {string} name Normalized scene name
+ * @return {boolean}
+ */
+function hasLibraryScene(name) {
+	return Object.hasOwn(sceneLibrary.scenes, name);
+}
+
+/**
+ * Keep the properties of a Hue light state which are needed to set it back.
+ * @param {object} state Hue light state
+ * @return {object}
+ */
+function getSceneLightState(state) {
+	if (!state.on) {
+		return { on: false };
+	}
+	const sceneState = { on: true };
+	if (state.bri !== undefined) {
+		sceneState.bri = state.bri;
+	}
+	for (let key of SCENE_STATE_KEYS[state.colormode] || []) {
+		sceneState[key] = state[key];
+	}
+	if (state.effect !== undefined) {
+		sceneState.effect = state.effect;
+	}
+	return sceneState;
+}
+
+/**
+ * Save the current state of the lights into a scene of the library.
+ * @param {string} name Normalized scene name
+ */
+async function saveLibraryScene(name) {
+	const lightStates = await getLightStates();
+	sceneLibrary.scenes[name] = {
+		savedAt: new Date().toISOString(),
+		lights: Object.fromEntries(lightStates.map(({ id, state }) => [id, getSceneLightState(state)])),
+	};
+	await writeSceneLibrary();
+	console.log(`Scene ${name} saved.`);
+}
+
+/**
+ * Set the lights to a scene of the library. The lights missing from the scene stay as they are.
+ * @param {string} name Normalized scene name
+ * @param {int} [transition]
+ */
+async function applyLibraryScene(name, transition = COLOR_TRANSITION) {
+	await applySceneLights(sceneLibrary.scenes[name].lights, transition);
+	console.log(`Scene ${name} applied.`);
+}
+
+/**
+ * Apply light states saved with getSceneLightState.
+ * The effects are turned off during the transition, then started once it ends.
+ * @param {object} lights Light states, by light ID
+ * @param {int} transition Transition duration, in ms
+ */
+async function applySceneLights(lights, transition) {
+	const sceneLights = LIGHTS.filter(light => lights[light.id]);
+	await Promise.all([
+		setLightsState(sceneLights.filter(light => hasRgbSupport(light.id)).map(light => light.id), new LightState().effectNone()),
+		setLightStates(sceneLights.map(light => {
+			const { effect, ...state } = lights[light.id];
+			return [light.id, new LightState().populate(state)];
+		}), transition),
+		delay(transition),
+	]);
+
+	// Start effects after the transition ends
+	await setLightStates(sceneLights
+		.filter(light => lights[light.id].effect && lights[light.id].effect !== 'none' && hasRgbSupport(light.id))
+		.map(light => [light.id, new LightState().effect(lights[light.id].effect)]));
+}
+
+/**
+ * Reset the light settings to the default: the default scene of the library, or the initial light settings
+ */
+async function resetLights() {
+	if (sceneLibrary.defaultScene) {
+		console.log(`Resetting lights to the ${sceneLibrary.defaultScene} scene...`);
+		await applyLibraryScene(sceneLibrary.defaultScene, 100);
+		console.log(`Resetting lights done.`);
+		return;
+	}
+
+	console.log(`Resetting lights to their default settings...`);
+	await applyLightSettings(Object.entries(INITIAL_LIGHT_SETTINGS)
+		.map(([key, settings]) => [LEGACY_LIGHT_KEYS[key] ? CONFIG[key] : key, settings]), 100);
+	console.log(`Resetting lights done.`);
+}
+
+/**
+ * Apply light settings by light selector, such as the initial light settings.
+ * The settings of each light are merged, the later selectors overriding the previous ones.
+ * @param {array} selectorSettings [selector, settings] pairs, settings being Hue light state values, k or color
+ * @param {int} transition Transition duration, in ms
+ */
+async function applyLightSettings(selectorSettings, transition) {
+	const settingsByLight = new Map();
+	for (let [selector, settings] of selectorSettings) {
+		const lights = getLights(selector);
+		if (lights.length === 0) {
+			console.warn(`No light matches the light settings "${selector}".`);
+		}
+		for (let light of lights) {
+			settingsByLight.set(light, { ...settingsByLight.get(light), ...settings });
+		}
+	}
+
+	const effectStates = [];
+	const lightStates = [];
+	for (let [light, { k, color, ...settings }] of settingsByLight) {
+		// Convert temperature values in Kelvin into ct
+		const lightState = new LightState().populate((k !== undefined) ? { ...settings, ct: kToCt(k) } : settings);
+		if (color !== undefined) {
+			setLightStateColor(lightState, light, toColor(color), settings.bri === undefined);
+		}
+
+		// Always effects in the first place
+		if (hasRgbSupport(light.id)) {
+			effectStates.push([light.id, new LightState().effectNone()]);
+		}
+		lightStates.push([light.id, lightState]);
+	}
+	await Promise.all([
+		setLightStates(effectStates),
+		setLightStates(lightStates, transition),
+	]);
+}
+
+/**
+ * Interpolate light settings. Numbers and arrays of numbers (ie xy) are interpolated,
+ * the other values (ie on, color strings) switch to the final ones at the end.
+ * @param {object} from
+ * @param {object} to Settings with the same keys
+ * @param {number} ratio From 0 to 1
+ * @return {object}
+ */
+function interpolateSettings(from, to, ratio) {
+	const isNumeric = value => typeof value === 'number' || (Array.isArray(value) && value.every(item => typeof item === 'number'));
+	return Object.fromEntries(Object.keys(from).map(key => [
+		key,
+		(isNumeric(from[key]) && isNumeric(to[key])) ? interpolate(from[key], to[key], ratio) : ((ratio < 1) ? from : to)[key],
+	]));
+}
+
+/**
+ * Start the audio-reactive mode: the lights pulse with the audio input, their hue changing on the beats.
+ * The lights are saved first, to set them back when the mode stops.
+ * @return {boolean} false if there is no light to drive or the audio input can't be opened
+ */
+function startAudioMode() {
+	const lights = getLights(AUDIO.lights).filter(light => hasRgbSupport(light.id));
+	if (lights.length === 0) {
+		console.log(`No color light matches the audio mode lights "${AUDIO.lights}".`);
+		return false;
+	}
+
+	// One request per light and update, within the share of the bridge rate limit given to the audio mode
+	const interval = Math.ceil(1000 * lights.length / (MAX_REQUESTS_PER_SECOND * AUDIO.requestShare));
+	const mode = { lights, savedLights: null, analysis: null, beat: false, hue: 0, interval, timer: null, isUpdating: false };
+	try {
+		startAudioInput(AUDIO, analysis => {
+			mode.analysis = analysis;
+			mode.beat = mode.beat || analysis.beat;
+		}, () => {
+			// The input has ended: set the lights back
+			audioMode === mode && stopAudioMode();
+		});
+	} catch (e) {
+		console.error(`Unable to read the audio input: ${e.message}`);
+		return false;
+	}
+	audioMode = mode;
+	enqueueAsyncAction(async () => {
+		// Set back the scene left by an aborted effect before saving the lights
+		await restoreScene();
+		const lightStates = await getLightStates();
+		mode.savedLights = Object.fromEntries(lightStates
+			.filter(({ id }) => lights.some(light => light.id === id))
+			.map(({ id, state }) => [id, getSceneLightState(state)]));
+		if (audioMode !== mode) {
+			return;
+		}
+		mode.timer = setInterval(() => updateAudioLights(mode), interval);
+		console.log(`Audio mode started.`);
+	}, { label: 'audio mode start' });
+	return true;
+}
+
+/**
+ * Stop the audio-reactive mode and set the lights back to their state before it started.
+ */
+function stopAudioMode() {
+	const mode = audioMode;
+	audioMode = null;
+	clearInterval(mode.timer);
+	stopAudioInput();
+	enqueueAsyncAction(async () => {
+		await restoreScene();
+		if (mode.savedLights) {
+			await applySceneLights(mode.savedLights, COLOR_TRANSITION);
+		}
+		console.log(`Audio mode stopped.`);
+	}, { label: 'audio mode stop' });
+}
+
+/**
+ * Update the lights of the audio-reactive mode from the last audio analysis.
+ * The action queue has priority: no update is sent while an action runs or while the scene saved by an effect is
+ * not restored, so the effects save and restore the lights of the audio mode, which resumes afterwards.
+ * @param {object} mode
+ */
+async function updateAudioLights(mode) {
+	if (mode.isUpdating || !mode.analysis || runningAction || lastSavedScene || bridgeConnection.status !== 'connected') {
+		return;
+	}
+	const { bass, mid, treble } = mode.analysis;
+	const beat = mode.beat;
+	mode.beat = false;
+	if (beat) {
+		mode.hue = (mode.hue + AUDIO_BEAT_HUE_STEP) % 65536;
+	}
+
+	// Brightness from the energy, mostly the bass, at its maximum on the beats
+	const level = beat ? 1 : Math.min(1, 0.6 * bass + 0.3 * mid + 0.1 * treble);
+	const bri = Math.round(AUDIO.minBri + (254 - AUDIO.minBri) * level);
+
+	// Hues spread over the lights, shifted by the balance between the treble and the bass
+	const shift = (treble - bass) * AUDIO_BEAT_HUE_STEP;
+	const lightStates = mode.lights.map((light, index) => {
+		const hue = Math.round(mode.hue + shift + index * AUDIO_BEAT_HUE_STEP / mode.lights.length + 65536) % 65536;
+		return [light.id, new LightState().on().hue(hue).sat(254).bri(bri)];
+	});
+
+	mode.isUpdating = true;
+	try {
+		await setLightStates(lightStates, beat ? 0 : mode.interval);
+	} catch (e) {
+		console.error(`Unable to update the audio mode lights: ${e}`);
+	} finally {
+		mode.isUpdating = false;
+	}
+}
+
+/**
+ * Turn the audio-reactive mode on or off.
+ * @param {boolean} enabled
+ * @param {string} [user] User to reply to
+ * @return {boolean} false if the mode is already in this state or can't start
+ */
+function doAudioMode(enabled, user = null) {
+	if (enabled === !!audioMode || (enabled && !startAudioMode())) {
+		return false;
+	}
+	if (!enabled) {
+		stopAudioMode();
+	}
+	user && sayTemplate(enabled ? 'audioOn' : 'audioOff', { user });
+	return true;
+}
+
+/**
+ * Run the lighting schedule: enqueue an action applying the due changes, unless one is already waiting.
+ * The changes yield to the effects of the action queue: they are applied once the scene saved by the effects is restored.
+ */
+function runSchedule() {
+	// The action may have been dropped from the queue
+	if ((SCHEDULE.length > 0 || orphanedScheduleLights.length > 0) && !pendingActions.includes(scheduleAction)) {
+		scheduleAction = enqueueAsyncAction(applySchedule, { label: 'schedule' });
+	}
+}
+
+/**
+ * Apply the due changes of the lighting schedule.
+ * Clock times and uptimes passed before the bot starts are not applied, except for the gradual changes in progress.
+ */
+async function applySchedule() {
+	scheduleAction = null;
+
+	// An effect is in progress: the schedule resumes after its scene is restored
+	if (lastSavedScene) {
+		return;
+	}
+
+	// Set back the lights of the entries removed from the schedule during their duration
+	while (orphanedScheduleLights.length > 0) {
+		await applySceneLights(orphanedScheduleLights.pop(), COLOR_TRANSITION);
+	}
+
+	const now = Date.now();
+	for (let [index, entry] of SCHEDULE.entries()) {
+		const state = scheduleStates[index] || (scheduleStates[index] = {});
+		const occurrence = getScheduleOccurrence(entry, now, botStartTime);
+		const name = entry.name || `schedule entry ${index + 1}`;
+
+		// Gradual change, updated until it ends
+		if (entry.from) {
+			if (!occurrence || occurrence.end < botStartTime || state.key === occurrence.start) {
+				continue;
+			}
+			const ratio = Math.min(1, (now - occurrence.start) / (occurrence.end - occurrence.start));
+			const settings = interpolateSettings(entry.from, entry.to, ratio);
+			if (!isDeepStrictEqual(settings, state.settings)) {
+				await applyLightSettings([[entry.lights, settings]], SCHEDULE_INTERVAL);
+				state.settings = settings;
+			}
+			if (ratio === 1) {
+				state.key = occurrence.start;
+				console.log(`${name} complete.`);
+				botEvents.emit('schedule', { status: 'complete', name });
+			}
+			continue;
+		}
+
+		// End of a change lasting a duration: the lights are set back
+		if (state.savedLights && (!occurrence || state.key !== occurrence.start || now >= occurrence.end)) {
+			await applySceneLights(state.savedLights, COLOR_TRANSITION);
+			state.savedLights = null;
+			console.log(`${name} ended.`);
+			botEvents.emit('schedule', { status: 'ended', name });
+		}
+
+		if (!occurrence || occurrence.start < botStartTime || state.key === occurrence.start || (entry.duration && now >= occurrence.end)) {
+			continue;
+		}
+		state.key = occurrence.start;
+		if (entry.scene && !hasLibraryScene(normalizeSceneName(entry.scene))) {
+			console.warn(`Unknown scene ${entry.scene} in the ${name}.`);
+			continue;
+		}
+		console.log(`Applying ${name}...`);
+		if (entry.duration) {
+			state.savedLights = Object.fromEntries((await getLightStates()).map(({ id, state }) => [id, getSceneLightState(state)]));
+		}
+		if (entry.scene) {
+			await applyLibraryScene(normalizeSceneName(entry.scene));
+		} else {
+			await applyLightSettings(Object.entries(entry.settings), COLOR_TRANSITION);
+		}
+		botEvents.emit('schedule', { status: 'applied', name });
+	}
+}
+
+/**
+ * Keep the states of the schedule entries left unchanged by a reload of config.js.
+ * The lights saved by the removed or changed entries are set back by the next schedule run.
+ * @param {array} previousSchedule Schedule before the reload
+ */
+function updateScheduleStates(previousSchedule) {
+	const previousStates = scheduleStates;
+	const unusedIndexes = previousSchedule.map((entry, index) => index);
+	scheduleStates = SCHEDULE.map(entry => {
+		const index = unusedIndexes.find(previousIndex => isDeepStrictEqual(previousSchedule[previousIndex], entry));
+		if (index === undefined) {
+			return {};
+		}
+		unusedIndexes.splice(unusedIndexes.indexOf(index), 1);
+		return previousStates[index] || {};
+	});
+
+	// The first entries are set back last, so their saved lights win
+	for (let index of unusedIndexes) {
+		const state = previousStates[index];
+		state && state.savedLights && orphanedScheduleLights.push(state.savedLights);
+	}
+}
+
+/**
+ * Start the lighting schedule.
+ */
+function startSchedule() {
+	if (!scheduleTimer) {
+		scheduleTimer = setInterval(runSchedule, SCHEDULE_INTERVAL);
+	}
+	runSchedule();
+}
+
+/**
+ * Perform a test of each light to make sure they are properly configured.
+ */
+async function lightTest() {
+	console.log(`Light test starting...`);
+	await saveScene();
+
+	try {
+		abortOnCancel();
+
+		// Turn all the lights off
+		await Promise.all([
+			setLightsState(LIGHT_IDS.filter(hasRgbSupport), new LightState().effectNone()),
+			setLightsState(LIGHT_IDS, new LightState().off(), 0),
+		]);
+
+		abortOnCancel();
+
+		await delay(1500);
+
+		// Make each light blink
+		for (let lightId of LIGHT_IDS) {
+			console.log(`Testing ${LIGHT_NAMES[lightId]} with ID ${lightId}...`);
+			await blinkLight(setLightState, lightId, abortOnCancel);
+		}
+
+		abortOnCancel();
+
+		await delay(1500);
+
+		abortOnCancel();
+
+		// Restore the previous lights state
+		console.log(`Restoring state...`);
+		await restoreScene();
+
+		console.log(`Light test complete.`);
+
+	} catch (e) {
+		console.log(`Light test stopped: ${e}`);
+	}
+}
+
+/**
+ * Replace the parameter references ('$name' strings) by their values.
+ * @param {*} value
+ * @param {object} params
+ * @return {*}
+ */
+function resolveEffectParams(value, params) {
+	if (typeof value === 'string' && value[0] === '$' && params[value.substring(1)] !== undefined) {
+		return params[value.substring(1)];
+	}
+	if (Array.isArray(value)) {
+		return value.map(item => resolveEffectParams(item, params));
+	}
+	if (value !== null && typeof value === 'object') {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEffectParams(item, params)]));
+	}
+	return value;
+}
+
+/**
+ * Create the light state of an effect frame for the given light.
+ * @param {object} light
+ * @param {object} state Hue light state values, plus color (RGB array or color string) and k (temperature in Kelvin)
+ * @return {LightState}
+ */
+function createEffectLightState(light, state) {
+	const { color, k, ...settings } = state;
+	const lightState = new LightState().populate(settings);
+	const parsedColor = (color !== undefined) ? toColor(color) : null;
+	if (!(parsedColor && hasRgbSupport(light.id) && setLightStateColor(lightState, light, parsedColor)) && k !== undefined) {
+		setLightStateColor(lightState, light, { k });
+	}
+	return lightState;
+}
+
+/**
+ * Play an effect frame.
+ * @param {object} frame
+ * @param {array} effectLights Lights taking part in the effect
+ * @param {object} [otherState] State to apply to the lights not taking part in the effect
+ */
+async function playEffectFrame(frame, effectLights, otherState = null) {
+	const { lights = {}, transition = 0, duration = 0 } = frame;
+
+	// Merge the states of each light
+	const states = new Map();
+	for (let selector of Object.keys(lights)) {
+		for (let light of getLights(selector).filter(light => effectLights.includes(light))) {
+			states.set(light, { ...states.get(light), ...lights[selector] });
+		}
+	}
+	if (otherState) {
+		for (let light of LIGHTS.filter(light => !effectLights.includes(light))) {
+			states.set(light, otherState);
+		}
+	}
+
+	await Promise.all([
+		setLightStates([...states].map(([light, state]) => [light.id, createEffectLightState(light, state)]), transition),
+		delay(duration)
+	]);
+}
+
+/**
+ * Plays a light effect.
+ * @param {string} effectName Key of the effect definition in EFFECTS
+ * @param {object} [params] Effect parameters, overriding the default ones
+ */
+async function playEffect(effectName, params = {}) {
+	if (!Object.hasOwn(EFFECTS, effectName)) {
+		console.log(`Unknown effect ${effectName}.`);
+		return;
+	}
+	const definition = EFFECTS[effectName];
+
+	const rate = 1000 / MAX_REQUESTS_PER_SECOND;
+	const effect = resolveEffectParams(definition, { rate, ...definition.params, ...params });
+	effect.params = { ...definition.params, ...params };
+	const effectLights = getLights(effect.lights || 'all');
+	const displayName = effect.name || effectName;
+
+	console.log(`Playing ${displayName.toLowerCase()} effect...`);
+
+	// Save the current lights state
+	await saveScene();
+
+	const eventData = { effect: effectName, name: displayName, params: effect.params };
+	botEvents.emit('effect', { status: 'started', ...eventData });
+
+	try {
+		let otherState = effect.others || null;
+		for (let sequence of effect.sequences) {
+			const repeat = (sequence.repeat === undefined) ? 1 : sequence.repeat;
+			for (let i = 1; i <= repeat; i++) {
+				for (let frame of sequence.frames) {
+					abortOnCancel();
+					await playEffectFrame(frame, effectLights, otherState);
+					otherState = null;
+				}
+			}
+		}
+
+		abortOnCancel();
+
+		// Restore previous lights state
+		await restoreScene();
+
+		console.log(`${displayName} effect complete.`);
+		botEvents.emit('effect', { status: 'finished', ...eventData });
+	} catch (e) {
+		console.log(`${displayName} effect stopped: ${e}`);
+		botEvents.emit('effect', { status: (e === 'ABORTED') ? 'aborted' : 'failed', ...eventData });
+	}
+}
+
+/**
+ * Indicates if the event values match the conditions of a rule.
+ * A condition is either an exact value or a { min, max } range.
+ * @param {object} conditions
+ * @param {object} values
+ * @return {boolean}
+ */
+function matchesRuleConditions(conditions, values) {
+	for (let [name, condition] of Object.entries(conditions)) {
+		const value = values[name];
+		if (value === undefined) {
+			return false;
+		}
+		if (condition !== null && typeof condition === 'object') {
+			if ((condition.min !== undefined && value < condition.min) || (condition.max !== undefined && value > condition.max)) {
+				return false;
+			}
+		} else if (value !== condition) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Interpolate linearly between two numbers or two arrays of numbers.
+ * The result is rounded when both ends are integers.
+ * @param {number|array} from
+ * @param {number|array} to
+ * @param {number} ratio between 0 and 1
+ * @return {number|array}
+ */
+function interpolate(from, to, ratio) {
+	if (Array.isArray(from)) {
+		return from.map((value, index) => interpolate(value, to[index], ratio));
+	}
+	const value = from + (to - from) * ratio;
+	return (Number.isInteger(from) && Number.isInteger(to)) ? Math.round(value) : value;
+}
+
+/**
+ * Compute the effect parameters of a rule for the event values.
+ * A parameter can scale with an event value: { scale: <value name>, from: [<value>, <param>], to: [<value>, <param>], log: <boolean> }.
+ * The parameter is interpolated between the from and to params, optionally on a logarithmic scale.
+ * Without from and to, the parameter is the event value itself.
+ * @param {object} params
+ * @param {object} values
+ * @return {object}
+ */
+function resolveRuleParams(params, values) {
+	const resolvedParams = {};
+	for (let [name, param] of Object.entries(params)) {
+		if (param === null || typeof param !== 'object' || param.scale === undefined) {
+			resolvedParams[name] = param;
+			continue;
+		}
+		const value = values[param.scale];
+		if (value === undefined) {
+			// Missing value: default parameter, or the default one of the effect
+			if (param.default !== undefined) {
+				resolvedParams[name] = param.default;
+			}
+			continue;
+		}
+		if (!param.from || !param.to) {
+			resolvedParams[name] = value;
+			continue;
+		}
+		const [[fromValue, fromParam], [toValue, toParam]] = [param.from, param.to];
+		const scale = param.log ? (x => Math.log(Math.max(1, x))) : (x => x);
+		const ratio = (scale(toValue) === scale(fromValue)) ? 1 : (scale(value || 0) - scale(fromValue)) / (scale(toValue) - scale(fromValue));
+		resolvedParams[name] = interpolate(fromParam, toParam, Math.min(1, Math.max(0, ratio)));
+	}
+	return resolvedParams;
+}
+
+/**
+ * Get the first event rule matching the event values.
+ * @param {string} event
+ * @param {object} values
+ * @return {object|undefined}
+ */
+function getEventRule(event, values) {
+	return (EVENT_RULES[event] || []).find(rule => matchesRuleConditions(rule.when || {}, values));
+}
+
+/**
+ * Perform the light effect of the first event rule matching the event values.
+ * Events are merged with the identical ones enqueued shortly before, the rule being matched again with the merged values.
+ * @param {string} event raid, sub, resub, subgift, submysterygift or cheer
+ * @param {object} values Event values (viewers, bits, count, tier, prime, months)
+ * @param {object} [options] Coalescing options (see enqueueEventAction)
+ * @param {int} [options.absorb=0] Number of upcoming absorbable events with the same key to ignore
+ * @param {boolean} [options.absorbable=false] The event is ignored when announced by a previous one
+ */
+function doEventEffect(event, values, options = {}) {
+	const { key = event, absorb = 0, absorbable = false } = options;
+
+	// Events announced by a previous one (ie individual sub gifts after a mystery gift)
+	if (absorbable && absorbedEvents[key] > 0) {
+		absorbedEvents[key]--;
+		if (absorbedEvents[key] === 0) {
+			delete absorbedEvents[key];
+		}
+		return;
+	}
+	if (absorb > 0) {
+		absorbedEvents[key] = (absorbedEvents[key] || 0) + absorb;
+	}
+
+	const rule = getEventRule(event, values);
+	if (!rule) {
+		console.log(`No effect for the ${event} event.`);
+		return;
+	}
+	const priority = (rule.priority !== undefined) ? rule.priority : ((Object.hasOwn(EFFECTS, rule.effect) && EFFECTS[rule.effect].priority) || 0);
+	enqueueEventAction(event, values, priority, options, action => {
+		const mergedRule = getEventRule(event, action.values) || rule;
+		return playEffect(mergedRule.effect, resolveRuleParams(mergedRule.params || {}, action.values));
+	});
+}
+
+/**
+ * Get the sub tier values from the Twitch sub methods.
+ * @param {object} [methods]
+ * @return {object} { tier, prime }
+ */
+function getSubTier(methods = {}) {
+	const plan = String(methods.plan || '1000');
+	if (plan.toLowerCase() === 'prime') {
+		return { tier: 1, prime: true };
+	}
+	return { tier: Math.max(1, Math.floor(parseInt(plan, 10) / 1000) || 1), prime: false };
+}
+
+/**
+ * Get the alert colors of a viewer: chat color and sub tier color.
+ * @param {object} [userstate] Tags of the Twitch event, with the chat color of the viewer
+ * @param {object} [methods] Sub methods, for the sub events
+ * @return {object} { userColor, tierColor, color }, color being the tier color or the chat color. Unknown colors are missing.
+ */
+function getAlertColors(userstate = {}, methods = null) {
+	const colors = {};
+	if (userstate && userstate.color) {
+		colors.userColor = userstate.color;
+	}
+	if (methods) {
+		const { tier, prime } = getSubTier(methods);
+		const tierColor = prime ? SUB_TIER_COLORS.prime : SUB_TIER_COLORS[tier];
+		if (tierColor) {
+			colors.tierColor = tierColor;
+		}
+	}
+	const color = colors.tierColor || colors.userColor;
+	return color ? { ...colors, color } : colors;
+}
+
+/**
+ * Parse command name from Twitch chat message
+ * @param {string} message
+ * @return {string} Command name
+ */
+function getCommandName(message) {
+	const matches = message.toLowerCase().match(/\!([a-z0-9]+)/);
+	if (matches) {
+		return matches[1];
+	}
+	return null;
+}
+
+/**
+ * Indicates if a !colors message asks for the list of color schemes: no parameter, or a page number.
+ * @param {string} message
+ * @param {string} command Command name used in the message
+ * @return {boolean}
+ */
+function isColorListRequest(message, command) {
+	const parameters = message.slice(message.toLowerCase().indexOf(`!${command}`) + command.length + 1).trim();
+	return parameters === '' || /^\d+$/.test(parameters);
+}
+
+/**
+ * Reset lights from Twitch command
+ */
+function doResetLights() {
+	enqueueAsyncAction(resetLights, { label: 'light reset' });
+}
+
+/**
+ * Perform light test from Twitch command
+ */
+function doLightTest() {
+	enqueueAsyncAction(lightTest, { label: 'light test' });
+}
+
+/**
+ * Perform light effect from Twitch command
+ * @param {string} effectName
+ * @param {object} [params] Effect parameters
+ * @param {int} [priority=0]
+ */
+function doEffect(effectName, params = {}, priority = 0) {
+	enqueueAsyncAction(() => playEffect(effectName, params), { label: `${effectName} effect`, priority, preemptible: true });
+}
+
+/**
+ * Perform light effect when a raid occurs
+ * @param {int} [viewers=100]
+ * @param {object} [userstate] Tags of the raid, with the chat color of the raider
+ */
+function doRaidEffect(viewers = 100, userstate = {}) {
+	doEventEffect('raid', { viewers, ...getAlertColors(userstate) });
+}
+
+/**
+ * Perform light effect when someone subscribes to the channel
+ * @param {object} [methods]
+ * @param {object} [userstate] Tags of the sub, with the chat color of the viewer
+ */
+function doSubscribeEffect(methods = {}, userstate = {}) {
+	doEventEffect('sub', { count: 1, ...getSubTier(methods), ...getAlertColors(userstate, methods) });
+}
+
+/**
+ * Perform light effect when someone gifts several subs to the channel
+ * @param {int} [count=5] Number of gifted subs
+ * @param {object} [methods]
+ * @param {object} [userstate] Tags of the gift, with the chat color of the gifter
+ */
+function doSubGiftEffect(count = 5, methods = {}, userstate = {}) {
+	doEventEffect('submysterygift', { count, ...getSubTier(methods), ...getAlertColors(userstate, methods) });
+}
+
+/**
+ * Perform light effect when someone gifts a certain amount of bits
+ * @param {int} [bits=1000]
+ * @param {object} [userstate] Tags of the cheer, with the chat color of the viewer
+ */
+function doBitsEffect(bits = 1000, userstate = {}) {
+	doEventEffect('cheer', { bits, ...getAlertColors(userstate) });
+}
+
+/**
+ * Normalize a color chat message: lower case, no punctuation, single spaces, no spaces in color functions (ie rgb(255, 0, 128)).
+ * @param {string} message
+ * @return {string}
+ */
+function normalizeColorMessage(message) {
+	return message.toLowerCase()
+		.replace(/\([^)]*\)/g, match => match.replace(/\s+/g, ''))
+		.replace(/[^\p{L}\p{N}\s#%().,-]/gu, ' ')
+		.replace(/[.,](?![^(]*\))/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+/**
+ * Split a color chat message into the lights it targets and their colors.
+ * Target words are light names, roles, zones or 'all'. Consecutive target words select the lights matching all of them (ie 'top left').
+ * The colors placed before any target word apply to the default lights.
+ * @param {string} message
+ * @param {string|array} defaultSelector Light selector of the colors without target
+ * @return {array} [{ selector, lights, colors }]
+ */
+function parseColorTargets(message, defaultSelector) {
+	message = normalizeColorMessage(message);
+	// Light names may contain spaces: turn them into single words
+	for (let light of LIGHTS) {
+		const name = light.name.toLowerCase().replace(/\s+/g, ' ');
+		message = message.split(name).join(name.replace(/ /g, '-'));
+	}
+
+	const targets = [{ terms: [defaultSelector], colors: [] }];
+	let previousIsTarget = false;
+	for (let word of message.split(' ')) {
+		const term = word.replace(/-/g, ' ');
+		if (getLights(term).length > 0) {
+			if (previousIsTarget) {
+				targets[targets.length - 1].terms.push(term);
+			} else {
+				targets.push({ terms: [term], colors: [] });
+			}
+			previousIsTarget = true;
+		} else {
+			targets[targets.length - 1].colors.push(word);
+			previousIsTarget = false;
+		}
+	}
+	return targets
+		.filter(target => target.colors.length > 0)
+		.map(({ terms, colors }) => ({
+			selector: terms.join(' '),
+			lights: terms.reduce((lights, term) => lights.filter(light => getLights(term).includes(light)), LIGHTS),
+			colors: colors.join(' '),
+		}));
+}
+
+/**
+ * Normalize a color scheme keyword or a word of a chat message, to compare them.
+ * @param {string} keyword
+ * @return {string}
+ */
+function normalizeKeyword(keyword) {
+	return String(keyword).toLowerCase().replace(/[\s'_-]+/g, '');
+}
+
+/**
+ * Find the color scheme matching a word.
+ * The keywords and aliases of the schemes match with their plural, and with typos if fuzzy is set.
+ * @param {string} word
+ * @param {boolean} [fuzzy=false]
+ * @return {object|null} { colorScheme, keyword }
+ */
+function findColorScheme(word, fuzzy = false) {
+	word = normalizeKeyword(word);
+	const keywords = new Map();
+	for (let colorScheme of COLOR_SCHEMES) {
+		for (let keyword of [...colorScheme.keywords, ...(colorScheme.aliases || [])]) {
+			keywords.has(normalizeKeyword(keyword)) || keywords.set(normalizeKeyword(keyword), { colorScheme, keyword });
+		}
+	}
+
+	// Word, then singular
+	for (let candidate of [word, word.replace(/s$/, ''), word.replace(/es$/, '')]) {
+		if (keywords.has(candidate)) {
+			return keywords.get(candidate);
+		}
+	}
+	const closest = fuzzy && findClosestName(word, [...keywords.keys()]);
+	return closest ? keywords.get(closest) : null;
+}
+
+/**
+ * Parse the color settings from a chat message.
+ * Words are color scheme keywords (see findColorScheme) or colors (see parseColor), misspelled CSS color names are tolerated.
+ * @param {string} message
+ * @return {array} Settings, in the order they should be applied
+ */
+function parseColorSettings(message) {
+	const settings = [];
+	const words = normalizeColorMessage(message).split(' ').filter(word => word !== '');
+	for (let index = 0; index < words.length; index++) {
+		const word = words[index];
+
+		// Keywords may be split into two words (ie 'cyber punk')
+		const pair = (index + 1 < words.length) ? findColorScheme(word + words[index + 1]) : null;
+		const scheme = pair || findColorScheme(word);
+		const color = !scheme && parseColor(word);
+		// Typos are only tolerated in single words and long words, to avoid matching usual words (ie 'read' and 'red')
+		const fuzzyScheme = !scheme && !color && (words.length === 1 || word.length >= 6) && findColorScheme(word, true);
+		// Only long words are compared to the CSS color names, to avoid matching usual words (ie 'like' and 'lime')
+		const cssName = !scheme && !color && !fuzzyScheme && word.length >= 6 && findClosestName(word, Object.keys(CSS_COLORS));
+
+		const match = scheme || fuzzyScheme;
+		if (match) {
+			// Determine scheme order by the keyword position in the message.
+			// Give higher priority (lower order) to the schemes having multiple settings.
+			const order = index + ((match.colorScheme.settings.length === 1) ? words.length : 0);
+			for (let setting of match.colorScheme.settings) {
+				// Keep the order to order the colors afterwards
+				settings.push({ ...setting, order, name: match.keyword });
+			}
+		} else if (color || cssName) {
+			settings.push({ on: true, color: color || parseColor(cssName), order: index + words.length, name: cssName || word });
+		}
+		pair && index++;
+	}
+
+	// Reorder color by their order in the message string
+	return settings.sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Indicates if a light can display a color scheme setting: white lights only display temperatures.
+ * @param {object} light
+ * @param {object} setting
+ * @return {boolean}
+ */
+function canDisplayColorSetting(light, setting) {
+	if (hasRgbSupport(light.id)) {
+		return true;
+	}
+	const color = setting.color && toColor(setting.color);
+	return setting.ct !== undefined || !!(color && color.k !== undefined);
+}
+
+/**
+ * Create the light state of a color scheme setting for the given light.
+ * @param {object} light
+ * @param {object} setting Hue light state values, plus color (see toColor)
+ * @return {LightState}
+ */
+function createColorLightState(light, setting) {
+	const { color, order, name, ...state } = setting;
+	if (!hasRgbSupport(light.id)) {
+		// White lights only keep the brightness and temperature
+		delete state.xy;
+		delete state.hue;
+		delete state.sat;
+		delete state.effect;
+	}
+	const lightState = new LightState().populate(state);
+	if (state.xy && hasRgbSupport(light.id)) {
+		lightState.xy(...clampToGamut(state.xy, getLightGamut(light.id)));
+	}
+	if (color) {
+		setLightStateColor(lightState, light, toColor(color), state.bri === undefined);
+	}
+	return lightState;
+}
+
+/**
+ * Get the light settings of a color chat message.
+ * The message may target lights by name, role or zone (ie 'left red right #00ffaa back 3000k'),
+ * the colors of each target are spread over its lights, from left to right.
+ * @param {string} message
+ * @param {string|array} [allowedSelector] Light selector of the lights which can be changed, all of them by default
+ * @return {object|null} { schemeName, lightSettings: [[light, setting]] }, null if there is no color
+ */
+function getSceneColors(message, allowedSelector = 'all') {
+	const allowedLights = getLights(allowedSelector);
+	const defaultSelector = getLights('accent').some(light => allowedLights.includes(light)) ? 'accent' : allowedSelector;
+
+	// Light settings by light, the last target of a light wins
+	const targetSettings = new Map();
+	const schemeNames = [];
+	const colorMessage = message.replace(/^\s*![a-z0-9]+/i, '');
+	for (let { selector, lights, colors } of parseColorTargets(colorMessage, defaultSelector)) {
+		const settings = parseColorSettings(colors);
+		lights = lights
+			.filter(light => allowedLights.includes(light) && settings.some(setting => canDisplayColorSetting(light, setting)))
+			.sort((a, b) => a.x - b.x);
+		if (settings.length === 0 || lights.length === 0) {
+			continue;
+		}
+
+		// Spread the colors over the lights, from left to right
+		lights.forEach((light, index) => {
+			const setting = settings[Math.floor(index * settings.length / lights.length)];
+			targetSettings.delete(light);
+			canDisplayColorSetting(light, setting) && targetSettings.set(light, setting);
+		});
+		const names = [...new Set(settings.map(setting => String(setting.name)))].join(' ');
+		schemeNames.push((selector === defaultSelector) ? names : `${selector} ${names}`);
+	}
+
+	if (targetSettings.size === 0) {
+		return null;
+	}
+	return { schemeName: schemeNames.join(' '), lightSettings: [...targetSettings] };
+}
+
+/**
+ * Get the CSS color of a color scheme setting, to display it.
+ * @param {object} setting
+ * @return {object} { css, effect }
+ */
+function getColorSwatch(setting) {
+	const color = setting.color && toColor(setting.color);
+	let css = '#ffffff';
+	if (color && color.rgb) {
+		css = rgbToHex(color.rgb);
+	} else if (color && color.k) {
+		css = rgbToHex(xyToRgb(kelvinToXy(color.k)));
+	} else if (setting.xy) {
+		css = rgbToHex(xyToRgb(setting.xy));
+	} else if (setting.ct) {
+		css = rgbToHex(xyToRgb(kelvinToXy(1000000 / setting.ct)));
+	} else if (setting.hue !== undefined) {
+		const sat = (setting.sat === undefined) ? 254 : setting.sat;
+		css = `hsl(${Math.round(setting.hue / 65535 * 360)}, ${Math.round(sat / 254 * 100)}%, 50%)`;
+	}
+	return { css, effect: setting.effect || 'none' };
+}
+
+/**
+ * Get the color schemes, with the swatches of their settings.
+ * @return {array} { keywords, aliases, swatches } for each scheme
+ */
+function getColorCatalogue() {
+	return COLOR_SCHEMES.map(({ keywords, aliases = [], settings }) => ({ keywords, aliases, swatches: settings.map(getColorSwatch) }));
+}
+
+/**
+ * List the color schemes in the chat, by pages fitting in a chat message.
+ * @param {int} page Page number, from 1
+ * @param {object} [context] Tags of the chat message
+ */
+function doListColors(page, context = {}) {
+	const pages = [[]];
+	for (let { keywords } of getColorCatalogue()) {
+		const currentPage = pages[pages.length - 1];
+		if (currentPage.length > 0 && [...currentPage, keywords[0]].join(', ').length > MAX_CHAT_MESSAGE_LENGTH) {
+			pages.push([keywords[0]]);
+		} else {
+			currentPage.push(keywords[0]);
+		}
+	}
+	page = Math.min(Math.max(page || 1, 1), pages.length);
+	const schemes = pages[page - 1].join(', ');
+	console.log(`Color schemes (${page}/${pages.length}): ${schemes}`);
+	sayTemplate('colorList', { user: context['display-name'], page, pages: pages.length, schemes });
+}
+
+/**
+ * Change scene color based on the parameters parsed from the chat message (see getSceneColors).
+ * The lights which are not targeted by the message stay as they are.
+ * @param {string} message
+ * @param {string|array} [allowedSelector] Light selector of the lights which can be changed, all of them by default
+ * @param {string} [user] Display name of the chat user changing the colors, to reply in chat
+ * @return {string|null} Name of the color scheme, null if unknown
+ */
+function doChangeSceneColor(message, allowedSelector = 'all', user = null) {
+	const sceneColors = getSceneColors(message, allowedSelector);
+	if (sceneColors === null) {
+		// No setting: no color change.
+		console.log(`Unknown color scheme.`);
+		user && sayTemplate('colorUnknown', { user, suggestions: getColorSuggestions() });
+		return null;
+	}
+
+	// Display console message
+	const { schemeName, lightSettings } = sceneColors;
+	console.log(`Setting color scheme: ${schemeName}...`);
+
+	const colorsEventData = {
+		scheme: schemeName,
+		lights: lightSettings.map(([light, { order, name, ...setting }]) => ({ id: light.id, name: light.name, setting })),
+	};
+
+	const applyColors = async () => {
+		// Set color
+		await Promise.all([
+			setLightsState(lightSettings.filter(([light]) => hasRgbSupport(light.id)).map(([light]) => light.id), new LightState().effectNone()),
+			setLightStates(lightSettings.map(([light, setting]) => [light.id, createColorLightState(light, { ...setting, effect: 'none' })]), COLOR_TRANSITION),
+			delay(COLOR_TRANSITION)
+		]);
+
+		// Start effects after the transition ends
+		await setLightStates(lightSettings
+			.filter(([light, setting]) => setting.effect && setting.effect !== 'none' && hasRgbSupport(light.id))
+			.map(([light, setting]) => [light.id, new LightState().effect(setting.effect)]));
+
+		console.log(`Color scheme ${schemeName} applied.`);
+		botEvents.emit('colors', { status: 'applied', ...colorsEventData });
+		user && sayTemplate('colorApplied', { user, scheme: schemeName });
+	};
+
+	if (lastSavedScene) {
+		// There is a saved scene: Apply changes after it has been restored
+		afterSceneRestore.push(applyColors);
+		console.log(`The color scheme will be applied after the current effect is ended.`);
+		botEvents.emit('colors', { status: 'deferred', ...colorsEventData });
+		user && sayTemplate('colorDeferred', { user, scheme: schemeName });
+	} else {
+		// Apply changes now
+		enqueueAsyncAction(applyColors, { label: `color scheme ${schemeName}` });
+	}
+
+	return schemeName;
+}
+
+/**
+ * Save the current state of the lights into a scene of the library, after the running effect.
+ * @param {string} name Scene name
+ * @param {string} [user] Display name of the chat user saving the scene, to reply in chat
+ * @return {string|null} Normalized scene name, null if invalid
+ */
+function doSaveScene(name, user = null) {
+	const sceneName = normalizeSceneName(name);
+	if (!sceneName) {
+		console.log(`Invalid scene name.`);
+		user && sayTemplate('sceneInvalid', { user });
+		return null;
+	}
+	enqueueAsyncAction(async () => {
+		await saveLibraryScene(sceneName);
+		botEvents.emit('scenes', { status: 'saved', scene: sceneName });
+		user && sayTemplate('sceneSaved', { user, scene: sceneName });
+	}, { label: `scene ${sceneName} saving` });
+	return sceneName;
+}
+
+/**
+ * Set the lights to a scene of the library.
+ * @param {string} name Scene name
+ * @param {string} [user] Display name of the chat user loading the scene, to reply in chat
+ * @return {string|null} Normalized scene name, null if unknown
+ */
+function doLoadScene(name, user = null) {
+	const sceneName = normalizeSceneName(name);
+	if (!hasLibraryScene(sceneName)) {
+		console.log(`Unknown scene ${name}.`);
+		user && sayTemplate('sceneUnknown', { user, scene: name, scenes: getSceneNames().join(', ') });
+		return null;
+	}
+	console.log(`Loading scene ${sceneName}...`);
+
+	const loadScene = async () => {
+		// The scene may have been deleted in the meantime
+		if (hasLibraryScene(sceneName)) {
+			await applyLibraryScene(sceneName);
+			botEvents.emit('scenes', { status: 'loaded', scene: sceneName });
+			user && sayTemplate('sceneLoaded', { user, scene: sceneName });
+		}
+	};
+
+	if (lastSavedScene) {
+		// There is a saved scene: Load the scene after it has been restored
+		afterSceneRestore.push(loadScene);
+		console.log(`The scene will be loaded after the current effect is ended.`);
+	} else {
+		enqueueAsyncAction(loadScene, { label: `scene ${sceneName}` });
+	}
+	return sceneName;
+}
+
+/**
+ * Delete a scene of the library.
+ * @param {string} name Scene name
+ * @param {string} [user] Display name of the chat user deleting the scene, to reply in chat
+ * @return {Promise<string|null>} Normalized scene name, null if unknown
+ */
+async function doDeleteScene(name, user = null) {
+	const sceneName = normalizeSceneName(name);
+	if (!hasLibraryScene(sceneName)) {
+		console.log(`Unknown scene ${name}.`);
+		user && sayTemplate('sceneUnknown', { user, scene: name, scenes: getSceneNames().join(', ') });
+		return null;
+	}
+	delete sceneLibrary.scenes[sceneName];
+	if (sceneLibrary.defaultScene === sceneName) {
+		sceneLibrary.defaultScene = null;
+	}
+	await writeSceneLibrary();
+	console.log(`Scene ${sceneName} deleted.`);
+	botEvents.emit('scenes', { status: 'deleted', scene: sceneName });
+	user && sayTemplate('sceneDeleted', { user, scene: sceneName });
+	return sceneName;
+}
+
+/**
+ * Set the scene of the library applied at startup and by the light reset.
+ * @param {string|null} name Scene name, null or 'none' to use the initial light settings
+ * @param {string} [user] Display name of the chat user setting the scene, to reply in chat
+ * @return {Promise<string|null|false>} Normalized scene name, null for no scene, false if unknown
+ */
+async function doSetDefaultScene(name, user = null) {
+	const sceneName = (name === null || name === 'none') ? null : normalizeSceneName(name);
+	if (sceneName !== null && !hasLibraryScene(sceneName)) {
+		console.log(`Unknown scene ${name}.`);
+		user && sayTemplate('sceneUnknown', { user, scene: name, scenes: getSceneNames().join(', ') });
+		return false;
+	}
+	sceneLibrary.defaultScene = sceneName;
+	await writeSceneLibrary();
+	console.log(sceneName ? `Default scene set to ${sceneName}.` : `Default scene removed, using the initial light settings.`);
+	user && sayTemplate('sceneDefault', { user, scene: sceneName || 'none' });
+	return sceneName;
+}
+
+/**
+ * Get the names of the scenes of the library.
+ * @return {array}
+ */
+function getSceneNames() {
+	return Object.keys(sceneLibrary.scenes).sort();
+}
+
+/**
+ * List the scenes of the library in the chat.
+ * @param {object} [context] Tags of the chat message
+ */
+function doListScenes(context = {}) {
+	const scenes = getSceneNames().map(name => (name === sceneLibrary.defaultScene) ? `${name} (default)` : name).join(', ') || 'none';
+	console.log(`Scenes: ${scenes}`);
+	sayTemplate('sceneList', { user: context['display-name'], scenes });
+}
+
+/**
+ * Check the command permissions of the config file.
+ * @param {object} permissions Roles, '@' prefixed user logins or user IDs, by command, command group or 'default'
+ * @return {object} Permission lists, by command
+ */
+function parseCommandPermissions(permissions) {
+	return Object.fromEntries(Object.entries(permissions).map(([command, allowed]) => {
+		command = command.toLowerCase();
+		if (command !== 'default' && getCommandGroup(command) === null) {
+			throw new Error(`Invalid command "${command}" in COMMAND_PERMISSIONS. Valid commands are: ${Object.keys(COMMAND_ALIASES).join(', ')}.`);
+		}
+		allowed = [].concat(allowed).map(permission => String(permission).toLowerCase());
+		for (let permission of allowed) {
+			if (!USER_ROLES.includes(permission) && !/^@\w+$/.test(permission) && !/^\d+$/.test(permission)) {
+				throw new Error(`Invalid permission "${permission}" for command ${command}. Valid permissions are: ${USER_ROLES.join(', ')}, @login or user ID.`);
+			}
+		}
+		return [command, allowed];
+	}));
+}
+
+/**
+ * Get the group of a chat command.
+ * @param {string} command Command name or alias
+ * @return {string|null} Command group, null if unknown
+ */
+function getCommandGroup(command) {
+	const group = Object.keys(COMMAND_ALIASES).find(group => COMMAND_ALIASES[group].includes(command));
+	return group || null;
+}
+
+/**
+ * Get the roles of a chat user from the message tags.
+ * @param {object} context Tags of the chat message
+ * @return {array} Roles (see USER_ROLES)
+ */
+function getUserRoles(context) {
+	const badges = context.badges || {};
+	const roles = ['everyone'];
+	if (badges.broadcaster || (context['user-id'] && context['user-id'] === context['room-id'])) {
+		roles.push('broadcaster');
+	}
+	if (context.mod || badges.moderator) {
+		roles.push('moderator');
+	}
+	if (context.vip || badges.vip) {
+		roles.push('vip');
+	}
+	if (context.subscriber || badges.subscriber || badges.founder) {
+		roles.push('subscriber');
+	}
+	return roles;
+}
+
+/**
+ * Indicates if a chat user is allowed to run a command.
+ * Permissions are roles, user logins prefixed by '@' or user IDs.
+ * @param {string} command
+ * @param {object} context Tags of the chat message
+ * @return {boolean}
+ */
+function isCommandAllowed(command, context) {
+	const group = getCommandGroup(command);
+	const permissions = COMMAND_PERMISSIONS[command] || (group && COMMAND_PERMISSIONS[group]) || COMMAND_PERMISSIONS.default;
+	const roles = getUserRoles(context);
+	return permissions.some(permission => roles.includes(permission)
+		|| permission === `@${String(context.username).toLowerCase()}`
+		|| permission === context['user-id']);
+}
+
+/**
+ * Run a broadcaster command
+ * @param {string} channel
+ * @param {string} command Command name, without the exclamation mark
+ * @param {array} params Command parameters
+ * @param {string} message Full chat message
+ * @param {object} [context] Tags of the chat message, to reply to the user
+ * @return {*} false if the command is unknown
+ */
+function runCommand(channel, command, params, message, context = {}) {
+	switch (getCommandGroup(command)) {
+		// Reset light settings
+		case 'resetlights':
+			return doResetLights();
+
+		// Perform light test
+		case 'lighttest':
+			return doLightTest();
+
+		// Test bits effect
+		// Params: username, amount of bits
+		case 'testbits':
+			return onCheer(
+				channel,
+				{
+					'display-name': params[0] || 'Username',
+					'bits': parseInt(params[1] || '1', 10),
+					'color': context.color
+				},
+				''
+			);
+
+		// Test subscribe effect
+		// Params: username, message
+		case 'testsub':
+			return onSubscription(
+				channel,
+				params[0] || 'Username',
+				{},
+				params.splice(1).join(' '),
+				{ 'color': context.color }
+			);
+
+		// Test resub effect
+		// Params: username, total months, months streak, message
+		case 'testresub':
+			return onResub(
+				channel,
+				params[0] || 'Username',
+				parseInt(params[2] || '1', 10),
+				params.splice(3).join(' '),
+				{
+					'msg-param-cumulative-months': params[1] || '1',
+					'msg-param-should-share-streak': true,
+					'color': context.color
+				},
+				{}
+			);
+
+		// Test sub gift effect
+		// Params: username, recipient, months streak
+		case 'testsubgift':
+			return onSubgift(
+				channel,
+				params[0] || 'Username',
+				parseInt(params[2] || '0', 10),
+				params[1] || 'Recipient',
+				{},
+				{ 'color': context.color }
+			);
+
+		// Test sub mystery gift effect
+		// Params: username, number of subs
+		case 'testsubgifts':
+			const giver = params[0] || 'Username';
+			const numbOfSubs = parseInt(params[1] || '1', 10);
+			onSubmysterygift(channel, giver, numbOfSubs, {}, { 'color': context.color });
+			for (let i = 1; i <= numbOfSubs; i++) {
+				onSubgift(channel, giver, '1', `Recipient_${i}`, {}, { 'color': context.color });
+			}
+			return;
+
+		// Test raid effect
+		// Params: username, number of viewers
+		case 'testraid':
+			return onRaided(
+				channel,
+				params[0] || 'Username',
+				parseInt(params[1] || '666', 10),
+				{ 'color': context.color }
+			)
+
+		// Test hype train effect
+		// Params: stage (begin, progress or end), level
+		case 'testhypetrain':
+			return onHypeTrain(
+				channel,
+				params[0] || 'begin',
+				parseInt(params[1] || '1', 10)
+			);
+
+		// Test follow effect
+		// Params: username
+		case 'testfollow':
+			return onFollow(
+				channel,
+				params[0] || 'Username'
+			);
+
+		// Test first-time chatter effect
+		// Params: username, message
+		case 'testfirstmessage':
+			return onFirstMessage(
+				channel,
+				{ 'display-name': params[0] || 'Username', 'first-msg': true },
+				params.splice(1).join(' ')
+			);
+
+		// Test channel points reward effect
+		// Params: reward ID, username, message
+		case 'testreward':
+			return onRewardRedemption(
+				channel,
+				{ 'display-name': params[1] || 'Username' },
+				params[0] || '',
+				params[0] || 'Reward',
+				params.splice(2).join(' ')
+			);
+
+		// Test rotating lights effect
+		case 'testrotating':
+			return doRaidEffect();
+
+		// Test any effect
+		// Params: effect name
+		case 'testeffect':
+			return doEffect(params[0] || '');
+
+		// Log action queue state
+		case 'queue':
+			return logActionQueue();
+
+		// Log lights state
+		case 'lightstate':
+			return logLightState()
+				.then(lightStates => context['display-name'] && replyLightState(context, lightStates))
+				.catch(error => console.error(`Unable to read the light states: ${error.message}`));
+
+		// Change scene colors
+		case 'color':
+			return doChangeSceneColor(message, 'all', context['display-name']);
+
+		// List color schemes
+		// Params: page, or colors to change them as with the color command
+		case 'colors':
+			if (!isColorListRequest(message, command)) {
+				return doChangeSceneColor(message, 'all', context['display-name']);
+			}
+			return doListColors(parseInt(params[0] || '1', 10), context);
+
+		// Save the light states into a scene of the library
+		// Params: scene name
+		case 'savescene':
+			return doSaveScene(params.join(' '), context['display-name']);
+
+		// Load a scene of the library
+		// Params: scene name
+		case 'loadscene':
+			return doLoadScene(params.join(' '), context['display-name']);
+
+		// List the scenes of the library
+		case 'scenes':
+			return doListScenes(context);
+
+		// Delete a scene of the library
+		// Params: scene name
+		case 'deletescene':
+			return doDeleteScene(params.join(' '), context['display-name'])
+				.catch(error => console.error(`Unable to delete the scene: ${error.message}`));
+
+		// Set the startup scene
+		// Params: scene name, none for the initial light settings
+		case 'defaultscene':
+			return doSetDefaultScene(params.join(' ') || 'none', context['display-name'])
+				.catch(error => console.error(`Unable to set the default scene: ${error.message}`));
+
+		// Turn the audio-reactive mode on or off
+		// Params: on, off, or none to toggle it
+		case 'audio':
+			return doAudioMode(params[0] ? (params[0].toLowerCase() !== 'off') : !audioMode, context['display-name']);
+
+		default:
+			console.log('Unknown command.');
+			return false;
+	}
+}
+
+/**
+ * Send a message in the Twitch chat, when the bot is authenticated.
+ * Messages are queued to stay within the chat rate limit.
+ * @param {string} text
+ */
+function say(text) {
+	if (!TWITCH_BOT_USERNAME || !TWITCH_BOT_OAUTH || !twitchClient) {
+		return;
+	}
+	if (chatQueue.length >= CHAT_RATE_LIMIT.maxQueued) {
+		console.log(`Chat message dropped, too many messages: ${text}`);
+		return;
+	}
+	chatQueue.push(text);
+	processChatQueue();
+}
+
+/**
+ * Send the queued chat messages allowed by the rate limit.
+ */
+function processChatQueue() {
+	if (chatQueueTimer !== null) {
+		return;
+	}
+	const now = Date.now();
+	chatSendTimes = chatSendTimes.filter(time => time > now - CHAT_RATE_LIMIT.period);
+	while (chatQueue.length > 0 && chatSendTimes.length < CHAT_RATE_LIMIT.messages) {
+		const text = chatQueue.shift();
+		chatSendTimes.push(now);
+		twitchClient.say(TWITCH_CHANNEL, text).catch(error => console.error(`Unable to send chat message: ${error}`));
+	}
+	if (chatQueue.length > 0) {
+		chatQueueTimer = setTimeout(() => {
+			chatQueueTimer = null;
+			processChatQueue();
+		}, chatSendTimes[0] + CHAT_RATE_LIMIT.period - now);
+	}
+}
+
+/**
+ * Send a chat reply from a template of the CHAT_REPLIES setting.
+ * @param {string} key Template key
+ * @param {object} values Values of the template placeholders
+ */
+function sayTemplate(key, values) {
+	const template = CHAT_REPLIES[key];
+	if (template) {
+		say(template.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined) ? values[name] : placeholder));
+	}
+}
+
+/**
+ * Get color scheme keywords to suggest to the viewers.
+ * @return {string} ie 'red, blue, cyberpunk'
+ */
+function getColorSuggestions() {
+	return COLOR_SCHEMES.map(colorScheme => colorScheme.keywords[0]).join(', ');
+}
+
+/**
+ * Describe a light state in a few words.
+ * @param {object} state Hue light state
+ * @return {string} ie '100% #ff0080', '50% 3000K', 'off'
+ */
+function describeLightState(state) {
+	if (!state.on) {
+		return 'off';
+	}
+	const brightness = `${Math.round(state.bri / 254 * 100)}%`;
+	if (state.colormode === 'ct' || (!state.xy && state.ct)) {
+		return `${brightness} ${Math.round(1000000 / state.ct / 100) * 100}K`;
+	}
+	if (state.xy) {
+		return `${brightness} ${rgbToHex(xyToRgb(state.xy))}`;
+	}
+	return brightness;
+}
+
+/**
+ * Reply to the !lightstate command with a summary of the light states.
+ * @param {object} context Tags of the chat message
+ * @param {array} lightStates { name, state } for each light
+ */
+function replyLightState(context, lightStates) {
+	const summary = lightStates.map(({ name, state }) => `${name}: ${describeLightState(state)}`).join(' | ');
+	sayTemplate('lightState', { user: context['display-name'], summary });
+}
+
+/**
+ * Get the remaining time of a cooldown for a user.
+ * @param {string} name Cooldown name
+ * @param {string} userId
+ * @return {int} Remaining time, in ms
+ */
+function getCooldownDelay(name, userId) {
+	const now = Date.now();
+	return Math.max(0, (cooldownEnds[name] || 0) - now, (cooldownEnds[`${name}:${userId}`] || 0) - now);
+}
+
+/**
+ * Run an action according to a cooldown. During the cooldown, the action is either delayed until its end or rejected.
+ * @param {string} name Cooldown name
+ * @param {string} userId
+ * @param {object} cooldown { global, user, policy, maxQueued }: cooldowns in ms, 'queue' or 'reject' policy
+ * @param {function} action
+ * @param {int} [minDelay=0] Minimum delay before running the action, in ms
+ * @return {int|null} Delay before the action is run, in ms, null if it has been rejected
+ */
+function runWithCooldown(name, userId, cooldown, action, minDelay = 0) {
+	const { global = 0, user = 0, policy = 'reject', maxQueued = 10 } = cooldown;
+	const cooldownDelay = Math.max(getCooldownDelay(name, userId), minDelay);
+	if (cooldownDelay > 0 && (policy !== 'queue' || (delayedActionCounts[name] || 0) >= maxQueued)) {
+		return null;
+	}
+
+	// Cooldowns start when the action is run
+	const start = Date.now() + cooldownDelay;
+	cooldownEnds[name] = Math.max(cooldownEnds[name] || 0, start + global);
+	cooldownEnds[`${name}:${userId}`] = Math.max(cooldownEnds[`${name}:${userId}`] || 0, start + user);
+	if (cooldownDelay === 0) {
+		action();
+		return 0;
+	}
+	delayedActionCounts[name] = (delayedActionCounts[name] || 0) + 1;
+	const timer = setTimeout(() => {
+		cooldownTimers.delete(timer);
+		delayedActionCounts[name]--;
+		action();
+	}, cooldownDelay);
+	cooldownTimers.add(timer);
+	return cooldownDelay;
+}
+
+/**
+ * Keep a color scheme displayed for the minimum time before the next color change of a viewer.
+ * @param {int} changeDelay Delay before the color scheme is applied, in ms
+ */
+function extendColorSchemeDisplay(changeDelay) {
+	colorSchemeDisplayEnd = Math.max(colorSchemeDisplayEnd, Date.now() + changeDelay + COLOR_REWARD_COOLDOWN.minDisplayTime);
+}
+
+/**
+ * Get the cooldown settings of a command.
+ * @param {string} command
+ * @return {object}
+ */
+function getCommandCooldown(command) {
+	const group = getCommandGroup(command);
+	return COMMAND_COOLDOWNS[command] || (group && COMMAND_COOLDOWNS[group]) || COMMAND_COOLDOWNS.default;
+}
+
+/**
+ * Twitch message handler
+ * @param {string} channel
+ * @param {object} context
+ * @param {string} message
+ * @param {boolean} self
+ */
+function onMessage(channel, context, message, self) {
+	// Don't listen to my own messages..
+	if (self) return;
+
+	// First message of a viewer in the channel
+	if (context['first-msg'] === true || context['first-msg'] === '1') {
+		onFirstMessage(channel, context, message);
+	}
+
+	// Only accept commands from allowed users
+	let command = getCommandName(message);
+	if (getCommandGroup(command) === 'colors' && !isColorListRequest(message, command)) {
+		// Colors after !colors change the colors, as with !color (ie !colors red blue)
+		command = 'color';
+	}
+	if (command !== null && isCommandAllowed(command, context)) {
+		const params = message.replace(/[ ]+/, ' ').split(' ').filter(e => e !== `!${command}`);
+		const roles = getUserRoles(context).filter(role => role !== 'everyone');
+		console.log(`Received ${command} command from ${roles[0] || 'user'} ${context['display-name']}.`);
+
+		// The broadcaster has no cooldown
+		if (roles.includes('broadcaster')) {
+			runCommand(channel, command, params, message, context);
+			return;
+		}
+		// The current color scheme stays displayed for a minimum time, as with the redemptions
+		const isColorChange = getCommandGroup(command) === 'color' && getSceneColors(message, 'all') !== null;
+		const cooldownDelay = runWithCooldown(`command:${getCommandGroup(command) || command}`, context['user-id'], getCommandCooldown(command), () => {
+			runCommand(channel, command, params, message, context);
+		}, isColorChange ? colorSchemeDisplayEnd - Date.now() : 0);
+		if (cooldownDelay === null) {
+			console.log(`The ${command} command of ${context['display-name']} has been rejected: cooldown.`);
+			return;
+		}
+		isColorChange && extendColorSchemeDisplay(cooldownDelay);
+		if (cooldownDelay > 0) {
+			console.log(`The ${command} command of ${context['display-name']} will be run in ${Math.ceil(cooldownDelay / 1000)}s: cooldown.`);
+		}
+		return;
+	}
+	if (command !== null && getCommandGroup(command) !== null) {
+		console.log(`Denied ${command} command to ${context['display-name']} (${context['user-id']}).`);
+	}
+
+	// Change scene color using points, unless the redemptions come from EventSub
+	if (context['custom-reward-id'] && !isEventSubEventUsed('channel.channel_points_custom_reward_redemption.add')) {
+		if (context['custom-reward-id'] === COLOR_REWARD_ID) {
+			onColorRedemption(context, message);
+		} else {
+			onRewardRedemption(channel, context, context['custom-reward-id'], context['custom-reward-id'], message);
+		}
+	}
+}
+
+/**
+ * Color reward redemption handler
+ * @param {object} context Tags of the chat message, or the same values for the EventSub redemptions
+ * @param {string} message Text of the redemption
+ */
+function onColorRedemption(context, message) {
+	const user = context['display-name'];
+	console.log(`${user} redeemed color change using channel points.`);
+	const sceneColors = getSceneColors(message, COLOR_REWARD_LIGHTS);
+	if (sceneColors === null) {
+		console.log(`Unknown color scheme.`);
+		sayTemplate('colorUnknown', { user, suggestions: getColorSuggestions() });
+		return;
 	}
+
+	// The broadcaster has no cooldown
+	if (getUserRoles(context).includes('broadcaster')) {
+		doChangeSceneColor(message, COLOR_REWARD_LIGHTS, user);
+		return;
+	}
+
+	// The current color scheme stays displayed for a minimum time
+	const cooldownDelay = runWithCooldown('colorreward', context['user-id'], COLOR_REWARD_COOLDOWN, () => {
+		doChangeSceneColor(message, COLOR_REWARD_LIGHTS, user);
+	}, colorSchemeDisplayEnd - Date.now());
+	if (cooldownDelay === null) {
+		console.log(`The color change of ${user} has been rejected: cooldown.`);
+		const waitTime = Math.max(getCooldownDelay('colorreward', context['user-id']), colorSchemeDisplayEnd - Date.now());
+		sayTemplate('colorRejected', { user, delay: Math.max(1, Math.ceil(waitTime / 1000)) });
+		return;
+	}
+	extendColorSchemeDisplay(cooldownDelay);
+	if (cooldownDelay > 0) {
+		console.log(`The color change of ${user} will be applied in ${Math.ceil(cooldownDelay / 1000)}s: cooldown.`);
+		sayTemplate('colorQueued', { user, scheme: sceneColors.schemeName, delay: Math.ceil(cooldownDelay / 1000) });
+	}
+}
+
+/**
+ * Twitch raided handler
+ * @param {string} channel
+ * @param {string} username
+ * @param {int} viewers
+ * @param {object} [userstate]
+ */
+function onRaided(channel, username, viewers, userstate = {}) {
+	console.log(`${username} raided with ${viewers} viewers.`);
+	botEvents.emit('twitch', { event: 'raid', username, viewers: ~~viewers });
+	doRaidEffect(~~viewers, userstate);
+}
+
+/**
+ * Twitch subgift handler
+ * @param {string} channel
+ * @param {string} username
+ * @param {int} streakMonths
+ * @param {string} recipient
+ * @param {object} methods
+ * @param {object} userstate
+ */
+function onSubgift(channel, username, streakMonths, recipient, methods, userstate) {
+	console.log(`${username} gave a subscription to ${recipient}.`);
+	botEvents.emit('twitch', { event: 'subgift', username, recipient, ...getSubTier(methods) });
+	doEventEffect('subgift', { count: 1, months: ~~streakMonths, ...getSubTier(methods), ...getAlertColors(userstate, methods) }, { key: `gift:${username}`, absorbable: true });
+}
+
+/**
+ * Twitch subscription handler
+ * @param {string} channel
+ * @param {string} username
+ * @param {object} method
+ * @param {string} message
+ * @param {object} userstate
+ */
+function onSubscription(channel, username, method, message, userstate) {
+	console.log(`${username} subscribed to the channel.`);
+	botEvents.emit('twitch', { event: 'sub', username, message, ...getSubTier(method) });
+	doSubscribeEffect(method, userstate);
+}
+
+/**
+ * Twitch resub handler
+ * @param {string} channel
+ * @param {string} username
+ * @param {int} streakMonths
+ * @param {string} message
+ * @param {object} userstate
+ * @param {object} methods
+ */
+function onResub(channel, username, streakMonths, message, userstate, methods) {
+	let cumulativeMonths = ~~userstate["msg-param-cumulative-months"];
+	console.log(`${username} resubscribed to the channel (total months: ${cumulativeMonths}).`);
+	botEvents.emit('twitch', { event: 'resub', username, message, months: cumulativeMonths, ...getSubTier(methods) });
+	doEventEffect('resub', { count: 1, months: cumulativeMonths, ...getSubTier(methods), ...getAlertColors(userstate, methods) });
+}
+
+/**
+ * Twitch submysterygift handler
+ * @param {string} channel
+ * @param {string} username
+ * @param {int} numbOfSubs
+ * @param {object} methods
+ * @param {object} userstate
+ * @param {boolean} [isFollowedBySubgifts=true] The individual sub gifts follow as subgift events (chat only)
+ */
+function onSubmysterygift(channel, username, numbOfSubs, methods, userstate, isFollowedBySubgifts = true) {
+	console.log(`${username} gave away ${numbOfSubs} subscriptions.`);
+	botEvents.emit('twitch', { event: 'submysterygift', username, count: ~~numbOfSubs, ...getSubTier(methods) });
+	// The individual sub gifts that follow are absorbed by this event
+	const absorb = isFollowedBySubgifts ? ~~numbOfSubs : 0;
+	doEventEffect('submysterygift', { count: ~~numbOfSubs, ...getSubTier(methods), ...getAlertColors(userstate, methods) }, { key: `gift:${username}`, absorb });
+}
+
+/**
+ * Twitch cheer handler
+ * @param {string} channel
+ * @param {object} userstate
+ * @param {string} message
+ */
+function onCheer(channel, userstate, message) {
+	console.log(`${userstate['display-name']} cheered with ${userstate.bits} bits.`);
+	botEvents.emit('twitch', { event: 'cheer', username: userstate['display-name'], bits: ~~userstate.bits, message });
+	doBitsEffect(~~userstate.bits, userstate);
+}
+
+/**
+ * Twitch follow handler
+ * @param {string} channel
+ * @param {string} username
+ */
+function onFollow(channel, username) {
+	console.log(`${username} followed the channel.`);
+	botEvents.emit('twitch', { event: 'follow', username });
+	doEventEffect('follow', { count: 1 }, { key: 'follow' });
 }
 
 /**
- * Parse command name from Twitch chat message
- * @param {string} message
- * @return {string} Command name
+ * Twitch channel points redemption handler
+ * @param {string} channel
+ * @param {object} redemption EventSub redemption event
  */
-function getCommandName(message) {
-	const matches = message.toLowerCase().match(/\!([a-z0-9]+)/);
-	if (matches) {
-		return matches[1];
+function onRedemption(channel, redemption) {
+	const { user_id, user_login, user_name, user_input, reward, broadcaster_user_id } = redemption;
+	const context = { 'display-name': user_name, username: user_login, 'user-id': user_id, 'room-id': broadcaster_user_id, badges: {} };
+	if (reward.id === COLOR_REWARD_ID) {
+		console.log(`${user_name} redeemed ${reward.title}.`);
+		botEvents.emit('twitch', { event: 'redemption', username: user_name, reward: reward.title, rewardId: reward.id, message: user_input });
+		onColorRedemption(context, user_input || '');
+	} else {
+		onRewardRedemption(channel, context, reward.id, reward.title, user_input || '');
 	}
-	return null;
 }
 
 /**
- * Reset lights from Twitch command
+ * Channel points reward handler, for the rewards other than the color reward
+ * @param {string} channel
+ * @param {object} context Tags of the chat message, or the same values for the EventSub redemptions
+ * @param {string} rewardId
+ * @param {string} rewardTitle
+ * @param {string} message
  */
-function doResetLights() {
-	enqueueAsyncAction(resetLights);
+function onRewardRedemption(channel, context, rewardId, rewardTitle, message) {
+	console.log(`${context['display-name']} redeemed ${rewardTitle}.`);
+	botEvents.emit('twitch', { event: 'redemption', username: context['display-name'], reward: rewardTitle, rewardId, message });
+	// Only the rewards having a rule play an effect
+	if (getEventRule('reward', { rewardId, count: 1 })) {
+		doEventEffect('reward', { rewardId, count: 1 }, { key: `reward:${rewardId}` });
+	}
 }
 
 /**
- * Perform light test from Twitch command
+ * Twitch first-time chatter handler
+ * @param {string} channel
+ * @param {object} context Tags of the chat message
+ * @param {string} message
  */
-function doLightTest() {
-	enqueueAsyncAction(lightTest);
+function onFirstMessage(channel, context, message) {
+	console.log(`${context['display-name']} chatted for the first time.`);
+	botEvents.emit('twitch', { event: 'firstmessage', username: context['display-name'], message });
+	doEventEffect('firstmessage', { count: 1 }, { key: 'firstmessage' });
 }
 
 /**
- * Perform light effect when a raid occurs
+ * Twitch hype train handler
+ * @param {string} channel
+ * @param {string} stage 'begin', 'progress' or 'end'
+ * @param {int} level Hype train level
  */
-function doRaidEffect() {
-	enqueueAsyncAction(() => rotatingLight([255, 64, 0], MIN_TEMPERATURE, 13));
+function onHypeTrain(channel, stage, level) {
+	level = ~~level || 1;
+	botEvents.emit('twitch', { event: 'hypetrain', stage, level });
+	switch (stage) {
+		case 'begin':
+			console.log(`Hype train started (level ${level}).`);
+			hypeTrainLevel = level;
+			return doEventEffect('hypetrainbegin', { level });
+		case 'progress':
+			// Only the level ups play an effect
+			if (level > hypeTrainLevel) {
+				console.log(`Hype train reached level ${level}.`);
+				hypeTrainLevel = level;
+				return doEventEffect('hypetrainlevel', { level }, { key: 'hypetrain' });
+			}
+			return;
+		case 'end':
+			console.log(`Hype train ended (level ${level}).`);
+			hypeTrainLevel = 0;
+			return doEventEffect('hypetrainend', { level });
+	}
 }
 
 /**
- * Perform light effect when someone subscribes to the channel
+ * Twitch poll handler
+ * @param {string} channel
+ * @param {string} stage 'begin' or 'end'
+ * @param {string} title
+ * @param {array} choices [{ title, votes }]
  */
-function doSubscribeEffect() {
-	enqueueAsyncAction(() => flashingLight(MAX_TEMPERATURE, 5));
+function onPoll(channel, stage, title, choices) {
+	console.log(`Poll ${title} ${stage}.`);
+	botEvents.emit('twitch', { event: 'poll', stage, title, choices });
 }
 
 /**
- * Perform light effect when someone gifts several subs to the channel
+ * Indicates if an event is received from EventSub, rather than from the Twitch chat.
+ * @param {string} type EventSub subscription type
+ * @return {boolean}
  */
-function doSubGiftEffect() {
-	enqueueAsyncAction(() => flashingLight(MAX_TEMPERATURE, 11));
+function isEventSubEventUsed(type) {
+	return !!EVENTSUB.enabled && (EVENTSUB.events || EVENTSUB_EVENTS).includes(type);
 }
 
 /**
- * Perform light effect when someone gifts a certain amount of bits
+ * EventSub notification handler: call the Twitch event handlers with the values of the event.
+ * @param {string} type Subscription type
+ * @param {object} event
  */
-function doBitsEffect() {
-	enqueueAsyncAction(() => flashingLight(MAX_TEMPERATURE, 2));
+function onEventSubNotification(type, event) {
+	const channel = `#${TWITCH_CHANNEL.toLowerCase()}`;
+	const username = event.is_anonymous ? 'Anonymous' : event.user_name;
+	switch (type) {
+		case 'channel.raid':
+			return onRaided(channel, event.from_broadcaster_user_name, event.viewers);
+		case 'channel.cheer':
+			return onCheer(channel, { 'display-name': username, 'bits': event.bits }, event.message);
+		case 'channel.subscribe':
+			// Gifted subs are handled by channel.subscription.gift
+			return event.is_gift || onSubscription(channel, username, { plan: event.tier }, '', {});
+		case 'channel.subscription.message':
+			return onResub(
+				channel,
+				username,
+				event.streak_months || 0,
+				event.message ? event.message.text : '',
+				{ 'msg-param-cumulative-months': event.cumulative_months },
+				{ plan: event.tier }
+			);
+		case 'channel.subscription.gift':
+			if (event.total === 1) {
+				return onSubgift(channel, username, 0, 'a viewer', { plan: event.tier }, {});
+			}
+			// The individual gifts arrive as channel.subscribe events, which are ignored
+			return onSubmysterygift(channel, username, event.total, { plan: event.tier }, {}, false);
+		case 'channel.follow':
+			return onFollow(channel, username);
+		case 'channel.channel_points_custom_reward_redemption.add':
+			return onRedemption(channel, event);
+		case 'channel.hype_train.begin':
+			return onHypeTrain(channel, 'begin', event.level);
+		case 'channel.hype_train.progress':
+			return onHypeTrain(channel, 'progress', event.level);
+		case 'channel.hype_train.end':
+			return onHypeTrain(channel, 'end', event.level);
+		case 'channel.poll.begin':
+			return onPoll(channel, 'begin', event.title, event.choices.map(({ title, votes }) => ({ title, votes: votes || 0 })));
+		case 'channel.poll.end':
+			return onPoll(channel, 'end', event.title, event.choices.map(({ title, votes }) => ({ title, votes: votes || 0 })));
+	}
 }
 
 /**
- * Change scene color based on the parameters parsed from the chat message
- * @param {string} message
+ * Change the lights for an OBS scene, as set in OBS_SCENES.
+ * @param {string} sceneName OBS scene name
+ * @return {boolean} false if the scene changes no light
  */
-function doChangeSceneColor(message) {
-
-	let settings = [];
-
-	// Set using HEX code
-	const matches = message.toLowerCase().match(/(#([0-9a-f]{6}))(.*#([0-9a-f]{6}))?/u);
-	if (matches && matches[2]) {
-		const hex1 = matches[2];
-		const hex2 = matches[4] || hex1;
-		const rgb1 = [parseInt(hex1.substring(0, 1), 16), parseInt(hex1.substring(2, 3), 16), parseInt(hex1.substring(4, 5), 16)];
-		const rgb2 = [parseInt(hex2.substring(0, 1), 16), parseInt(hex2.substring(2, 3), 16), parseInt(hex2.substring(4, 5), 16)];
-		settings.push({ on: true, rgb: rgb1, name: rgb1 });
-		settings.push({ on: true, rgb: rgb2, name: rgb2 });
+function doObsSceneLights(sceneName) {
+	if (!Object.hasOwn(OBS_SCENES, sceneName)) {
+		return false;
+	}
+	const sceneLights = OBS_SCENES[sceneName];
+	console.log(`OBS scene changed to ${sceneName}.`);
+	if (sceneLights.scene) {
+		doLoadScene(sceneLights.scene);
+	} else if (sceneLights.colors) {
+		doChangeSceneColor(sceneLights.colors);
+	} else if (sceneLights.effect) {
+		doEffect(sceneLights.effect, sceneLights.params);
+	} else if (sceneLights.reset) {
+		doResetLights();
 	} else {
-		// Set by color scheme name
-		message = ' ' + message.toLowerCase().replace(/\s+/g, ' ') + ' ';
-		for (let colorScheme of COLOR_SCHEMES) {
-			// Filter out duplicates in keywords list
-			const keywords = [...new Set(colorScheme.keywords)];
-			for (let keyword of keywords) {
-				// Scheme keywoard has been found
-				const position = message.indexOf(` ${keyword} `)
-				if (position !== -1) {
-					// Determine scheme order by the keyword position in the message.
-					// Give higher priority (lower order) to the schemes having multiple settings.
-					const order = position + ((colorScheme.settings.length === 1) ? message.length : 0);
-					for (let setting of colorScheme.settings) {
-						// Keep the order to order the colors afterwards
-						settings.push({ ...setting, order, name: keyword });
-					}
-				}
-			}
+		const applySettings = () => applyLightSettings(Object.entries(sceneLights.settings), COLOR_TRANSITION);
+		if (lastSavedScene) {
+			// There is a saved scene: Apply the settings after it has been restored
+			afterSceneRestore.push(applySettings);
+		} else {
+			enqueueAsyncAction(applySettings, { label: `OBS scene ${sceneName}` });
 		}
 	}
+	return true;
+}
 
-	if (settings.length === 0) {
-		// No setting: no color change.
-		console.log(`Unknown color scheme.`);
+/**
+ * Run the action of an OBS source used as a hotkey, once it's shown, and hide it again so the hotkey can be used again.
+ * @param {object} event SceneItemEnableStateChanged event data
+ */
+async function onObsSceneItemShown({ sceneName, sceneItemId }) {
+	const { sceneItems } = await sendObsRequest('GetSceneItemList', { sceneName });
+	const sceneItem = sceneItems.find(item => item.sceneItemId === sceneItemId);
+	const action = sceneItem && OBS_HOTKEYS[sceneItem.sourceName];
+	if (!action) {
 		return;
-	} else if (settings.length === 1) {
-		// Duplicate setting
-		settings.push(settings[0]);
 	}
-
-	// Reorder color by their order in the message string
-	settings.sort((a, b) => (a.order || 0) - (b.order || 0));
-
-	// Display console message
-	const schemeName = (settings[0].name !== settings[1].name) ? `${settings[0].name} ${settings[1].name}` : settings[0].name;
-	console.log(`Setting color scheme: ${schemeName}...`);
-
-	const applyColors = async () => {
-		// Set color
-		await Promise.all([
-			setLightState(LEFT_LIGHTSTRIP_ID, new LightState().effectNone()),
-			setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().effectNone()),
-			setLightState(LEFT_LIGHTSTRIP_ID, new LightState().populate({ ...settings[0], effect: 'none' }), COLOR_TRANSITION),
-			setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().populate({ ...settings[1], effect: 'none' }), COLOR_TRANSITION),
-			delay(COLOR_TRANSITION)
-		]);
-
-		// Start effects after the transition ends
-		await Promise.all([
-			settings[0].effect !== 'none' && setLightState(LEFT_LIGHTSTRIP_ID, new LightState().effect(settings[0].effect)),
-			settings[1].effect !== 'none' && setLightState(RIGHT_LIGHTSTRIP_ID, new LightState().effect(settings[1].effect)),
-		]);
-
-		console.log(`Color scheme ${schemeName} applied.`);
-	};
-
-	if (lastSavedScene) {
-		// There is a saved scene: Apply changes after it has been restored
-		afterSceneRestore = applyColors;
-		console.log(`The color scheme will be applied after the current effect is ended.`);
+	console.log(`OBS hotkey ${sceneItem.sourceName} pressed.`);
+	if (Object.hasOwn(OBS_HOTKEY_EFFECTS, action)) {
+		OBS_HOTKEY_EFFECTS[action]();
 	} else {
-		// Apply changes now
-		enqueueAsyncAction(applyColors);
+		doEffect(action);
 	}
+	await sendObsRequest('SetSceneItemEnabled', { sceneName, sceneItemId, sceneItemEnabled: false });
 }
 
 /**
- * Push subgifts to the stack.
- * @param {string} username
- * @param {int} [amount=1]
+ * OBS event handler: change the lights with the scenes and run the actions of the hotkeys.
+ * @param {string} type Event type
+ * @param {object} data Event data
  */
-function pushSubGifts(username, amount = 1) {
-	if (subGifts[username] === undefined) {
-		subGifts[username] = amount;
-	} else {
-		subGifts[username] += amount;
+function onObsEvent(type, data) {
+	switch (type) {
+		case 'CurrentProgramSceneChanged':
+			return doObsSceneLights(data.sceneName);
+		case 'SceneItemEnableStateChanged':
+			return data.sceneItemEnabled && onObsSceneItemShown(data)
+				.catch(error => console.error(`Unable to run the OBS hotkey: ${error.message}`));
 	}
 }
 
 /**
- * Pop a subgift from the stack
- * @param {string} username
- * @return {boolean} true if a subgift count has been popped.
+ * Connect to OBS, and send the effect events to OBS as custom events, unless disabled.
  */
-function popSubGift(username) {
-	if (subGifts[username] === undefined) {
-		return false;
-	}
-	subGifts[username]--;
-	if (subGifts[username] <= 0) {
-		delete subGifts[username];
+function connectObs() {
+	isObsStarted = true;
+	startObs(OBS, onObsEvent);
+	if (OBS.events !== false) {
+		botEvents.on('effect', ({ status, effect, name }) => {
+			if (getObsStatus().status === 'connected') {
+				sendObsRequest('BroadcastCustomEvent', { eventData: { source: OBS_EVENT_SOURCE, type: 'effect', status, effect, name } })
+					.catch(error => console.error(`Unable to send the effect event to OBS: ${error.message}`));
+			}
+		});
 	}
-	return true;
 }
 
-/**
- * Twitch message handler
- * @param {string} channel
- * @param {object} context
- * @param {string} message
- * @param {boolean} self
- */
-function onMessage(channel, context, message, self) {
-	// Don't listen to my own messages..
-	if (self) return;
+// Host names of the local machine, the only ones allowed for the control panel and the API
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
 
-	// Only accept commands from broadcaster
-	const command = getCommandName(message);
-	if (command !== null && context['display-name'] === TWITCH_CHANNEL) {
-		const params = message.replace(/[ ]+/, ' ').split(' ').filter(e => e !== `!${command}`);
-		console.log(`Received ${command} command from broadcaster ${context['display-name']}.`);
-		switch (command) {
-			// Reset light settings
-			case 'resetlight':
-			case 'resetlights':
-			case 'lightreset':
-			case 'lightsreset':
-				return doResetLights();
-
-			// Perform light test
-			case 'testlight':
-			case 'lighttest':
-			case 'testlights':
-			case 'lightstest':
-				return doLightTest();
-
-			// Test bits effect
-			// Params: username, amount of bits
-			case 'bittest':
-			case 'bitstest':
-			case 'testbit':
-			case 'testbits':
-			case 'testcheer':
-				return onCheer(
-					channel,
-					{
-						'display-name': params[0] || 'Username',
-						'bits': parseInt(params[1] || '1', 10)
-					},
-					''
-				);
-
-			// Test subscribe effect
-			// Params: username, message
-			case 'subtest':
-			case 'testsub':
-			case 'subscribetest':
-			case 'testsubscribe':
-				return onSubscription(
-					channel,
-					params[0] || 'Username',
-					{},
-					params.splice(1).join(' '),
-					{}
-				);
-
-			// Test resub effect
-			// Params: username, total months, months streak, message
-			case 'resubtest':
-			case 'testresub':
-				return onResub(
-					channel,
-					params[0] || 'Username',
-					parseInt(params[2] || '1', 10),
-					params.splice(3).join(' '),
-					{
-						'msg-param-cumulative-months': params[1] || '1',
-						'msg-param-should-share-streak': true
-					},
-					{}
-				);
-
-			// Test sub gift effect
-			// Params: username, recipient, months streak
-			case 'subgifttest':
-			case 'testsubgift':
-				return onSubgift(
-					channel,
-					params[0] || 'Username',
-					parseInt(params[2] || '0', 10),
-					params[1] || 'Recipient',
-					{},
-					{}
-				);
-
-			// Test sub mystery gift effect
-			// Params: username, number of subs
-			case 'mysterysubgifttest':
-			case 'testmysterysubgift':
-			case 'subgiftstest':
-			case 'testsubgifts':
-				const giver = params[0] || 'Username';
-				const numbOfSubs = parseInt(params[1] || '1', 10);
-				onSubmysterygift(channel, giver, numbOfSubs, {}, {});
-				for (let i = 1; i <= numbOfSubs; i++) {
-					onSubgift(channel, giver, '1', `Recipient_${i}`, {}, {});
-				}
-				return;
+// Origin of the local files displayed by the OBS browser sources
+const OBS_LOCAL_FILE_ORIGIN = 'http://absolute';
 
-			// Test raid effect
-			// Params: username, number of viewers
-			case 'raidtest':
-			case 'testraid':
-				return onRaided(
-					channel,
-					params[0] || 'Username',
-					parseInt(params[1] || '666', 10)
-				)
+/**
+ * HTTP error
+ */
+class HttpError extends Error {
+	/**
+	 * @param {int} status HTTP status code
+	 * @param {string} message
+	 */
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
 
-			// Test rotating lights effect
-			case 'testrotating':
-			case 'rotatingtest':
-			case 'gyrotest':
-			case 'testgyro':
-				return doRaidEffect();
+/**
+ * Read the JSON body of an HTTP request.
+ * @param {http.IncomingMessage} req
+ * @return {object}
+ * @throws {HttpError}
+ */
+async function readJsonBody(req) {
+	let body = '';
+	for await (let chunk of req) {
+		body += chunk;
+		if (body.length > 65536) {
+			throw new HttpError(413, 'Request body is too large.');
+		}
+	}
+	if (body.trim() === '') {
+		return {};
+	}
+	try {
+		return JSON.parse(body);
+	} catch (e) {
+		throw new HttpError(400, `Invalid JSON body: ${e.message}`);
+	}
+}
 
-			// Log lights state
-			case 'lightstate':
-			case 'lightsstate':
-				return logLightState();
+// HTTP API routes: [method, path pattern, handler(body, ...path params)]
+const API_ROUTES = [
+	['GET', /^\/api\/effects$/, () => Object.keys(EFFECTS).map(key => ({ key, name: EFFECTS[key].name || key, params: EFFECTS[key].params || {} }))],
+	['POST', /^\/api\/effects\/([^/]+)$/, (body, effectName) => {
+		if (!Object.hasOwn(EFFECTS, effectName)) {
+			throw new HttpError(404, `Unknown effect ${effectName}.`);
+		}
+		const { priority = 0, ...params } = body;
+		doEffect(effectName, params, priority);
+		return getActionQueueState();
+	}],
+	['POST', /^\/api\/events\/([^/]+)$/, (body, event) => {
+		if (!Object.hasOwn(EVENT_RULES, event)) {
+			throw new HttpError(404, `Unknown event ${event}.`);
+		}
+		doEventEffect(event, body);
+		return getActionQueueState();
+	}],
+	['GET', /^\/api\/colors$/, () => getColorCatalogue()],
+	['POST', /^\/api\/colors$/, body => {
+		if (typeof body.colors !== 'string') {
+			throw new HttpError(400, 'The colors property is missing.');
+		}
+		const scheme = doChangeSceneColor(body.colors);
+		if (scheme === null) {
+			throw new HttpError(400, 'Unknown color scheme.');
+		}
+		return { scheme, deferred: !!lastSavedScene };
+	}],
+	['POST', /^\/api\/commands$/, body => {
+		const command = String(body.command || '').toLowerCase().replace(/^!/, '');
+		const params = (body.params || []).map(String);
+		const message = [`!${command}`, ...params].join(' ');
+		if (runCommand(`#${TWITCH_CHANNEL.toLowerCase()}`, command, params, message) === false) {
+			throw new HttpError(404, `Unknown command ${command}.`);
+		}
+		return getActionQueueState();
+	}],
+	['GET', /^\/api\/scenes$/, () => ({
+		defaultScene: sceneLibrary.defaultScene,
+		scenes: getSceneNames().map(name => ({ name, ...sceneLibrary.scenes[name] })),
+	})],
+	['PUT', /^\/api\/scenes\/([^/]+)$/, (body, name) => {
+		const scene = doSaveScene(name);
+		if (scene === null) {
+			throw new HttpError(400, 'Scene names are made of letters, digits, dashes and underscores.');
+		}
+		return { scene, ...getActionQueueState() };
+	}],
+	['DELETE', /^\/api\/scenes\/([^/]+)$/, async (body, name) => {
+		const scene = await doDeleteScene(name);
+		if (scene === null) {
+			throw new HttpError(404, `Unknown scene ${name}.`);
+		}
+		return { scene };
+	}],
+	['POST', /^\/api\/scenes\/([^/]+)\/load$/, (body, name) => {
+		const scene = doLoadScene(name);
+		if (scene === null) {
+			throw new HttpError(404, `Unknown scene ${name}.`);
+		}
+		return { scene, deferred: !!lastSavedScene };
+	}],
+	['PUT', /^\/api\/defaultscene$/, async body => {
+		if (body.scene === undefined) {
+			throw new HttpError(400, 'The scene property is missing.');
+		}
+		const scene = await doSetDefaultScene(body.scene);
+		if (scene === false) {
+			throw new HttpError(404, `Unknown scene ${body.scene}.`);
+		}
+		return { scene };
+	}],
+	['GET', /^\/api\/status$/, () => getConnectionStatus()],
+	['GET', /^\/api\/lights$/, () => getLightStates()],
+	['POST', /^\/api\/lights\/reset$/, () => {
+		doResetLights();
+		return getActionQueueState();
+	}],
+	['POST', /^\/api\/lights\/test$/, () => {
+		doLightTest();
+		return getActionQueueState();
+	}],
+	['GET', /^\/api\/queue$/, () => getActionQueueState()],
+	['DELETE', /^\/api\/queue$/, () => {
+		clearActionQueue();
+		return getActionQueueState();
+	}],
+	['POST', /^\/api\/queue\/cancel$/, async () => {
+		const cancelled = await cancelRunningAction();
+		return { cancelled, ...getActionQueueState() };
+	}],
+];
 
-			// Change scene colors
-			case 'color':
-			case 'colors':
-			case 'setcolor':
-			case 'setcolors':
-			case 'testcolor':
-			case 'testcolors':
-				return doChangeSceneColor(message);
+/**
+ * Stream the bot events to an HTTP client using Server-Sent Events.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleEventStreamRequest(req, res) {
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive',
+		...(isOverlayOrigin(req.headers.origin) ? { 'Access-Control-Allow-Origin': req.headers.origin, 'Vary': 'Origin' } : {}),
+	});
+	res.write(`event: lights\ndata: ${JSON.stringify(LIGHTS.map(({ id, name, role }) => ({ id, name, role, state: currentLightStates[id] || {} })))}\n\n`);
+	eventStreamClients.add(res);
+	req.on('close', () => eventStreamClients.delete(res));
+}
 
-			default:
-				console.log('Unknown command.');
-				return;
-		}
+/**
+ * Send a bot event to the clients of the live event stream.
+ * @param {string} type
+ * @param {object} data
+ */
+function broadcastEvent(type, data) {
+	for (let res of eventStreamClients) {
+		res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
 	}
+}
 
-	// Change scene color using points
-	if (context['custom-reward-id'] === COLOR_REWARD_ID) {
-		console.log(`${context['display-name']} redeemed color change using channel points.`);
-		doChangeSceneColor(message);
+/**
+ * Handle an HTTP API request.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} path
+ */
+async function handleApiRequest(req, res, path) {
+	let status = 200;
+	let result;
+	try {
+		checkHttpRequestOrigin(req);
+		const routes = API_ROUTES.filter(([method, pattern]) => pattern.test(path));
+		if (routes.length === 0) {
+			throw new HttpError(404, 'Resource not found.');
+		}
+		const route = routes.find(([method]) => method === req.method);
+		if (!route) {
+			res.setHeader('Allow', routes.map(([method]) => method).join(', '));
+			throw new HttpError(405, `Method ${req.method} is not allowed.`);
+		}
+		const [, pattern, handler] = route;
+		const body = await readJsonBody(req);
+		if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+			throw new HttpError(400, 'The request body must be a JSON object.');
+		}
+		const params = path.match(pattern).slice(1).map(param => {
+			try {
+				return decodeURIComponent(param);
+			} catch (e) {
+				throw new HttpError(400, `Invalid URL encoding in ${param}.`);
+			}
+		});
+		console.log(`Running ${req.method} ${path} from HTTP.`);
+		result = await handler(body, ...params);
+	} catch (e) {
+		status = e.status || 500;
+		result = { error: e.message || String(e) };
+		if (status === 500) {
+			console.error(`HTTP request ${req.method} ${path} failed:`, e);
+		}
 	}
+	res.statusCode = status;
+	res.setHeader('Content-Type', 'application/json');
+	res.end(JSON.stringify(result) + '\n');
 }
 
 /**
- * Twitch raided handler
- * @param {string} channel
- * @param {string} username
- * @param {int} viewers
+ * Indicates if a host name is the one of the local machine, where the HTTP server listens.
+ * @param {string} hostname
+ * @return {boolean}
  */
-function onRaided(channel, username, viewers) {
-	console.log(`${username} raided with ${viewers} viewers.`);
-	doRaidEffect();
+function isLocalHostname(hostname) {
+	return LOCAL_HOSTNAMES.includes(hostname.toLowerCase());
 }
 
 /**
- * Twitch subgift handler
- * @param {string} channel
- * @param {string} username
- * @param {int} streakMonths
- * @param {string} recipient
- * @param {object} methods
- * @param {object} userstate
+ * Indicates if a web page origin may read the live event stream: the pages served by the local machine and the local
+ * files of the OBS browser sources.
+ * @param {string} [origin]
+ * @return {boolean}
  */
-function onSubgift(channel, username, streakMonths, recipient, methods, userstate) {
-	console.log(`${username} gave a subscription to ${recipient}.`);
-	if (!popSubGift(username)) {
-		doSubscribeEffect();
+function isOverlayOrigin(origin) {
+	if (!origin) {
+		return false;
+	}
+	if (origin === OBS_LOCAL_FILE_ORIGIN) {
+		return true;
+	}
+	try {
+		const { protocol, hostname } = new URL(origin);
+		return ['http:', 'https:'].includes(protocol) && isLocalHostname(hostname);
+	} catch (e) {
+		return false;
 	}
 }
 
 /**
- * Twitch subscription handler
- * @param {string} channel
- * @param {string} username
- * @param {object} method
- * @param {string} message
- * @param {object} userstate
+ * Check that a request of the control panel or of the API comes from the local machine and not from a web page:
+ * the host must be local (against DNS rebinding), and the requests changing the state must be JSON requests of the
+ * same origin (against cross-site requests, a web page can't send them without the approval of the server).
+ * @param {http.IncomingMessage} req
+ * @throws {HttpError} The request is not allowed
  */
-function onSubscription(channel, username, method, message, userstate) {
-	console.log(`${username} subscribed to the channel.`);
-	doSubscribeEffect();
+function checkHttpRequestOrigin(req) {
+	let host;
+	try {
+		host = new URL(`http://${req.headers.host}`);
+	} catch (e) {
+		throw new HttpError(400, 'Invalid Host header.');
+	}
+	if (!isLocalHostname(host.hostname)) {
+		throw new HttpError(403, `Host ${host.host} is not allowed.`);
+	}
+	if (req.method === 'GET' || req.method === 'HEAD') {
+		return;
+	}
+	if (req.headers.origin !== undefined && req.headers.origin !== `http://${host.host}`) {
+		throw new HttpError(403, `Origin ${req.headers.origin} is not allowed.`);
+	}
+	if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+		throw new HttpError(415, 'The Content-Type of the request must be application/json.');
+	}
 }
 
 /**
- * Twitch resub handler
- * @param {string} channel
- * @param {string} username
- * @param {int} streakMonths
- * @param {string} message
- * @param {object} userstate
- * @param {object} methods
+ * Send a file of the control panel.
+ * @param {http.ServerResponse} res
+ * @param {string} fileName
  */
-function onResub(channel, username, streakMonths, message, userstate, methods) {
-	let cumulativeMonths = ~~userstate["msg-param-cumulative-months"];
-	console.log(`${username} resubscribed to the channel (total months: ${cumulativeMonths}).`);
-	doSubscribeEffect();
+async function sendPanelFile(res, fileName) {
+	let content;
+	try {
+		content = await fs.promises.readFile(path.join(__dirname, 'panel', fileName));
+	} catch (e) {
+		console.error(`Unable to read the control panel file ${fileName}: ${e.message}`);
+		throw new HttpError(500, 'The control panel is unavailable.');
+	}
+	res.statusCode = 200;
+	res.setHeader('Content-Type', 'text/html; charset=utf-8');
+	res.end(content);
 }
 
 /**
- * Twitch submysterygift handler
- * @param {string} channel
- * @param {string} username
- * @param {int} numbOfSubs
- * @param {object} methods
- * @param {object} userstate
+ * Handle a request of the HTTP server.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {object} paths Handlers of the simple paths for the external alert boxes
  */
-function onSubmysterygift(channel, username, numbOfSubs, methods, userstate) {
-	console.log(`${username} gave away ${numbOfSubs} subscriptions.`);
-	pushSubGifts(username, numbOfSubs);
-	if (numbOfSubs >= 5) {
-		doSubGiftEffect();
+async function handleHttpRequest(req, res, paths) {
+	let urlPath;
+	try {
+		urlPath = new URL(req.url, 'http://localhost').pathname;
+	} catch (e) {
+		throw new HttpError(400, 'Invalid URL.');
+	}
+	if (urlPath === '/' && req.method === 'GET') {
+		// Control panel
+		checkHttpRequestOrigin(req);
+		await sendPanelFile(res, 'index.html');
+	} else if (urlPath === '/colors' && req.method === 'GET') {
+		// Color scheme catalogue
+		checkHttpRequestOrigin(req);
+		await sendPanelFile(res, 'colors.html');
+	} else if (urlPath === '/api/stream' && req.method === 'GET') {
+		checkHttpRequestOrigin(req);
+		handleEventStreamRequest(req, res);
+	} else if (urlPath.startsWith('/api/')) {
+		await handleApiRequest(req, res, urlPath);
+	} else if (paths[req.url]) {
+		await cancelActions();
+		res.statusCode = 200;
+		res.setHeader('Content-Type', 'text/plain');
+		res.end('ok\n');
+		console.log(`Running ${req.url} from HTTP.`);
+		paths[req.url]();
 	} else {
-		doSubscribeEffect();
+		res.statusCode = 404;
+		res.end('Resource not found\n');
 	}
 }
 
 /**
- * Twitch cheer handler
- * @param {string} channel
- * @param {object} userstate
- * @param {string} message
+ * Start the HTTP server.
+ * The control panel is served on /, the JSON API is under /api.
+ * The simple paths (/raid, /subscribe...) are kept for the external alert boxes.
  */
-function onCheer(channel, userstate, message) {
-	console.log(`${userstate['display-name']} cheered with ${userstate.bits} bits.`);
-	if (userstate.bits && userstate.bits >= 1000) {
-		doBitsEffect();
+function startHttpServer() {
+	const paths = {
+		'/raid': () => doRaidEffect(),
+		'/subscribe': () => doSubscribeEffect(),
+		'/subgift': () => doSubGiftEffect(),
+		'/bits': () => doBitsEffect(),
+	};
+
+	httpServer = http.createServer(async (req, res) => {
+		try {
+			await handleHttpRequest(req, res, paths);
+		} catch (e) {
+			// The request handlers must not reject: an unhandled rejection stops the bot
+			const isHttpError = (e instanceof HttpError);
+			if (!isHttpError) {
+				console.error(`HTTP request ${req.method} ${req.url} failed:`, e);
+			}
+			if (!res.headersSent) {
+				res.statusCode = isHttpError ? e.status : 500;
+				res.setHeader('Content-Type', 'text/plain');
+				res.end(`${isHttpError ? e.message : 'Internal server error'}\n`);
+			} else {
+				res.destroy();
+			}
+		}
+	});
+
+	// Live event stream
+	for (let type of ['twitch', 'effect', 'colors', 'scenes', 'lights', 'connection', 'config', 'schedule']) {
+		botEvents.on(type, data => broadcastEvent(type, data));
 	}
+
+	// Keep the event stream connections alive
+	setInterval(() => {
+		for (let res of eventStreamClients) {
+			res.write(': keepalive\n\n');
+		}
+	}, 15000);
+
+	httpServer.listen(HTTP_PORT, 'localhost', () => {
+		console.log(`HTTP server running at http://localhost:${HTTP_PORT}/.`);
+	});
 }
 
 /**
@@ -869,65 +3927,161 @@ function onCheer(channel, userstate, message) {
  */
 async function initBot() {
 	// Connect to the Philips Hue bridge first
-	console.log(`Connecting to the Hue bridge...`);
-	await connectHueBridge();
-	console.log(`Hue bridge connected.`);
+	await waitForHueBridge();
 
-	// Reset lights
-	await resetLights();
+	// Load the scene library, the default scene replacing the initial light settings
+	// The bot stops on a broken library rather than overwriting it when the next scene is saved
+	try {
+		await loadSceneLibrary();
+	} catch (e) {
+		console.error(`${e.message}. Fix or remove the file, then start the bot again.`);
+		process.exit(1);
+	}
 
-	// Instanciate Twitch chat client
-	twitchClient = new tmi.Client({ channels: [TWITCH_CHANNEL] });
+	// Restore the lights left in the middle of an effect by the last run, or reset them
+	if (!await recoverSavedScenes()) {
+		await resetLights();
+	}
 
-	// Message handler
-	twitchClient.on('message', onMessage);
+	// Start the lighting schedule
+	startSchedule();
 
-	// Connect to Twitch chat
-	console.log(`Connecting to the Twitch chat...`);
-	twitchClient.connect();
-	console.log(`Twitch chat connected.`);
+	// Connect to Twitch, once: the clients reconnect by themselves
+	if (!twitchClient) {
+		await connectTwitch();
+	}
+
+	// Connect to OBS, once: the client reconnects by itself
+	if (OBS.enabled && !isObsStarted) {
+		connectObs();
+	}
 
 	// Start HTTP server, if enabled
-	if (HTTP_PORT) {
-		const paths = {
-			'/raid': doRaidEffect,
-			'/subscribe': doSubscribeEffect,
-			'/subgift': doSubGiftEffect,
-			'/bits': doBitsEffect,
-		};
+	if (HTTP_PORT && !httpServer) {
+		startHttpServer();
+	}
 
-		const server = http.createServer(async (req, res) => {
-			if (paths[req.url]) {
-				await cancelActions();
-				res.statusCode = 200;
-				res.setHeader('Content-Type', 'text/plain');
-				res.end('ok\n');
-				console.log(`Running ${req.url} from HTTP.`);
-				paths[req.url]();
-			} else {
-				res.statusCode = 404;
-				res.end('Resource not found\n');
+	// Check the connections regularly
+	if (!healthCheckTimer) {
+		healthCheckTimer = setInterval(() => {
+			checkBridgeHealth();
+			checkTwitchHealth();
+		}, HEALTH_CHECK_INTERVAL);
+	}
+}
+
+/**
+ * Stop the bot: the events are no longer received, the effects are cancelled and the lights are restored to their
+ * state before the running effect. A second signal or a shutdown taking too long stops the process at once.
+ * @param {string} signal
+ */
+async function shutdown(signal) {
+	if (isShuttingDown) {
+		console.log(`Received ${signal} again, exiting now.`);
+		process.exit(1);
+	}
+	isShuttingDown = true;
+	console.log(`Received ${signal}, shutting down...`);
+	setTimeout(() => {
+		console.error(`The shutdown took too long, exiting now.`);
+		process.exit(1);
+	}, SHUTDOWN_TIMEOUT).unref();
+
+	// Stop receiving events, and drop the commands and redemptions waiting for the end of a cooldown
+	stopEventSub();
+	stopObs();
+	httpServer && httpServer.close();
+	cooldownTimers.forEach(timer => clearTimeout(timer));
+	cooldownTimers.clear();
+	if (twitchClient) {
+		await twitchClient.disconnect().catch(e => console.error(`Unable to disconnect from the Twitch chat: ${e}`));
+	}
+
+	// Stop the audio-reactive mode so that its updates don't change the restored lights, which are set back afterwards
+	const audioSavedLights = audioMode && audioMode.savedLights;
+	if (audioMode) {
+		clearInterval(audioMode.timer);
+		stopAudioInput();
+		audioMode = null;
+	}
+
+	// Cancel the effects and restore the scene, without the changes waiting for the end of the effect
+	afterSceneRestore.length = 0;
+	try {
+		await cancelActions();
+		if (hueBridgeApi) {
+			await restoreScene();
+			if (audioSavedLights) {
+				await applySceneLights(audioSavedLights, 100);
 			}
-		});
+		}
+	} catch (e) {
+		console.error(`Unable to restore the lights:`, e);
+	}
+	hueBridgeApi && await deleteCreatedGroups();
+	console.log(`Bot stopped.`);
+	process.exit(0);
+}
 
-		server.listen(HTTP_PORT, 'localhost', () => {
-			console.log(`HTTP server running at http://localhost:${HTTP_PORT}/, not using Twitch events.`);
-		});
-	} else {
+/**
+ * Connect to the Twitch chat and to EventSub, and listen to the Twitch events.
+ * The clients reconnect by themselves with an increasing delay when the connection is lost.
+ */
+async function connectTwitch() {
+	// Use Twitch events, by default when the HTTP server is not running
+	const useTwitchEvents = (USE_TWITCH_EVENTS === undefined || USE_TWITCH_EVENTS === null) ? !HTTP_PORT : USE_TWITCH_EVENTS;
+	if (useTwitchEvents && EVENTSUB.enabled) {
+		// EventSub events, the events which are not subscribed are still read from the chat
+		startEventSub(EVENTSUB, onEventSubNotification);
+	}
 
-		// Raid handler
-		twitchClient.on('raided', onRaided);
+	// Authenticated when the bot account is set to reply in the chat
+	const identity = (TWITCH_BOT_USERNAME && TWITCH_BOT_OAUTH) ? { username: TWITCH_BOT_USERNAME, password: TWITCH_BOT_OAUTH } : undefined;
+	twitchClient = new tmi.Client({
+		identity,
+		channels: [TWITCH_CHANNEL],
+		connection: { reconnect: true, reconnectInterval: MIN_RECONNECT_DELAY, maxReconnectInterval: MAX_RECONNECT_DELAY },
+	});
 
-		// Subscription handlers
-		twitchClient.on('subgift', onSubgift);
-		twitchClient.on('subscription', onSubscription);
-		twitchClient.on('resub', onResub);
-		twitchClient.on('submysterygift', onSubmysterygift);
+	// Message handler
+	twitchClient.on('message', onMessage);
 
-		// Bits handler
-		twitchClient.on('cheer', onCheer);
+	// Connection status
+	twitchClient.on('connecting', () => setConnectionStatus('twitch', twitchConnection, 'connecting'));
+	twitchClient.on('connected', () => {
+		setConnectionStatus('twitch', twitchConnection, 'connected');
+		console.log(`Twitch chat connected.`);
+	});
+	twitchClient.on('disconnected', reason => {
+		setConnectionStatus('twitch', twitchConnection, 'disconnected', reason);
+		console.log(`Twitch chat disconnected: ${reason}`);
+	});
+	twitchClient.on('reconnect', () => setConnectionStatus('twitch', twitchConnection, 'reconnecting', twitchConnection.error));
+
+	// Chat events
+	if (useTwitchEvents) {
+		const chatEvents = [
+			['raided', onRaided, 'channel.raid'],
+			['subgift', onSubgift, 'channel.subscription.gift'],
+			['subscription', onSubscription, 'channel.subscribe'],
+			['resub', onResub, 'channel.subscription.message'],
+			['submysterygift', onSubmysterygift, 'channel.subscription.gift'],
+			['cheer', onCheer, 'channel.cheer'],
+		];
+		for (let [chatEvent, handler, eventSubType] of chatEvents) {
+			isEventSubEventUsed(eventSubType) || twitchClient.on(chatEvent, handler);
+		}
+		console.log(`Using direct Twitch events${EVENTSUB.enabled ? ' and EventSub' : ''}.`);
+	} else {
+		console.log(`Not using Twitch events.`);
+	}
 
-		console.log(`HTTP server is not running, using direct Twitch events instead.`);
+	// Connect to Twitch chat
+	console.log(`Connecting to the Twitch chat...`);
+	try {
+		await twitchClient.connect();
+	} catch (e) {
+		console.error(`Unable to connect to the Twitch chat: ${e}`);
 	}
 }
 
@@ -946,5 +4100,15 @@ async function startBot() {
 	}
 }
 
+// Apply the settings, and reload them when config.js changes
+const { errors: configErrors, settings: configSettings } = parseConfig(CONFIG);
+exitOnConfigErrors(configErrors);
+applyConfig(CONFIG, configSettings);
+watchConfig();
+
+// Stop the bot cleanly
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // Start the bot!
 startBot();
@@ -0,0 +1,161 @@
+// Lights of the rig
+//
+// Parses the LIGHTS setting of config.js (or the legacy light ID settings) and selects lights by ID, name, role or
+// zone as seen by the camera. Also checks the light selectors of the config, for the bot and the setup wizard.
+const { findClosestName } = require('./colors.js');
+const { LIGHT_ROLES, LEGACY_LIGHT_KEYS } = require('./schema.js');
+
+// Selector of the lights changed by the color reward and driven by the audio mode, unless set in config.js
+const DEFAULT_COLOR_LIGHTS = 'accent';
+
+// Zones of the lights, as seen by the camera
+const LIGHT_ZONES = ['left', 'right', 'top', 'bottom', 'center'];
+
+/**
+ * Build the light list from the legacy light ID settings.
+ * @param {object} config Settings of config.js
+ * @return {array}
+ */
+function getLegacyLights(config) {
+	return Object.keys(LEGACY_LIGHT_KEYS)
+		.filter(key => config[key])
+		.map(key => ({ id: config[key], ...LEGACY_LIGHT_KEYS[key] }));
+}
+
+/**
+ * Parse a light position into coordinates, as seen by the camera.
+ * The position is either a string made of 'left', 'right', 'top', 'bottom' and 'center' or a { x, y } object.
+ * @param {string|object} [position]
+ * @return {object} { x, y } with x from left (-1) to right (1) and y from bottom (-1) to top (1)
+ */
+function parsePosition(position = 'center') {
+	if (typeof position === 'object') {
+		return { x: position.x || 0, y: position.y || 0 };
+	}
+	const words = position.toLowerCase().split(/\s+/);
+	return {
+		x: words.includes('left') ? -1 : (words.includes('right') ? 1 : 0),
+		y: words.includes('bottom') ? -1 : (words.includes('top') ? 1 : 0),
+	};
+}
+
+/**
+ * Parse a light entry of the configuration.
+ * @param {object} lightConfig
+ * @return {object}
+ */
+function parseLightConfig(lightConfig) {
+	const { id, name, role, position } = lightConfig;
+	if (!LIGHT_ROLES.includes(role)) {
+		throw new Error(`Invalid role "${role}" for light ${name || id}. Valid roles are: ${LIGHT_ROLES.join(', ')}.`);
+	}
+	return { id, name: name || `Light ${id}`, role, ...parsePosition(position) };
+}
+
+/**
+ * Indicates if the light is located in the given zone, as seen by the camera.
+ * @param {object} light
+ * @param {string} zone 'left', 'right', 'top', 'bottom' or 'center'
+ * @return {boolean}
+ */
+function isInZone(light, zone) {
+	switch (zone) {
+		case 'left': return light.x < 0;
+		case 'right': return light.x > 0;
+		case 'top': return light.y > 0;
+		case 'bottom': return light.y < 0;
+		case 'center': return light.x === 0;
+	}
+	return false;
+}
+
+/**
+ * Get the lights matching the selector.
+ * A selector is either a light ID, a light name, 'all', a role ('key', 'back', 'accent', 'ambient'),
+ * a zone ('left', 'right', 'top', 'bottom', 'center') or several space separated terms to intersect (ie 'accent left').
+ * An array of selectors returns the union of the matching lights.
+ * @param {int|string|array} selector
+ * @param {array} lights Parsed lights to select from
+ * @return {array} Matching lights, in the configuration order
+ */
+function selectLights(selector, lights) {
+	if (Array.isArray(selector)) {
+		const selected = new Set(selector.flatMap(item => selectLights(item, lights)));
+		return lights.filter(light => selected.has(light));
+	}
+	if (typeof selector === 'number') {
+		return lights.filter(light => light.id === selector);
+	}
+	const term = String(selector).trim().toLowerCase();
+	const namedLights = lights.filter(light => light.name.toLowerCase() === term);
+	if (namedLights.length) {
+		return namedLights;
+	}
+	const terms = term.split(/\s+/);
+	if (terms.length > 1) {
+		return terms.reduce((selected, term) => selected.filter(light => selectLights(term, lights).includes(light)), lights);
+	}
+	if (term === 'all') {
+		return lights;
+	}
+	return lights.filter(light => light.role === term || isInZone(light, term));
+}
+
+/**
+ * Find the light selector closest to a misspelled one, to suggest it in the error messages.
+ * @param {string} selector
+ * @param {array} lights
+ * @return {string|null}
+ */
+function findClosestLightSelector(selector, lights) {
+	const selectors = [...lights.map(light => light.name), ...LIGHT_ROLES, ...LIGHT_ZONES, 'all'];
+	const closest = findClosestName(String(selector).toLowerCase(), selectors.map(name => name.toLowerCase()));
+	return closest && selectors.find(name => name.toLowerCase() === closest);
+}
+
+/**
+ * Check the light IDs and the light selectors of config.js.
+ * The config is expected to match the schema (see schema.js).
+ * @param {object} config Settings of config.js
+ * @param {array} lights Parsed lights of the config
+ * @return {array} Error messages, ie 'AUDIO.lights: no light matches "accent"'
+ */
+function checkLightConfig(config, lights) {
+	const errors = [];
+	lights.forEach((light, index) => {
+		if (lights.findIndex(otherLight => otherLight.id === light.id) < index) {
+			errors.push(`LIGHTS[${index}].id: light ${light.id} is configured twice`);
+		}
+	});
+	const checkSelector = (selector, path) => {
+		if (selectLights(selector, lights).length === 0) {
+			const closest = !Array.isArray(selector) && findClosestLightSelector(selector, lights);
+			errors.push(`${path}: no light matches ${JSON.stringify(selector)}${closest ? `, did you mean ${closest}?` : ''}`);
+		}
+	};
+	for (let key of Object.keys(config.INITIAL_LIGHT_SETTINGS)) {
+		if (!LEGACY_LIGHT_KEYS[key]) {
+			checkSelector(key, `INITIAL_LIGHT_SETTINGS[${JSON.stringify(key)}]`);
+		} else if (!config[key]) {
+			errors.push(`INITIAL_LIGHT_SETTINGS.${key}: ${key} is not set`);
+		}
+	}
+	checkSelector(config.COLOR_REWARD_LIGHTS || DEFAULT_COLOR_LIGHTS, 'COLOR_REWARD_LIGHTS');
+	checkSelector((config.AUDIO && config.AUDIO.lights) || DEFAULT_COLOR_LIGHTS, 'AUDIO.lights');
+	(config.SCHEDULE || []).forEach((entry, index) => {
+		entry.lights && checkSelector(entry.lights, `SCHEDULE[${index}].lights`);
+		Object.keys(entry.settings || {}).forEach(selector => checkSelector(selector, `SCHEDULE[${index}].settings[${JSON.stringify(selector)}]`));
+	});
+	for (let [sceneName, { settings }] of Object.entries(config.OBS_SCENES || {})) {
+		Object.keys(settings || {}).forEach(selector => checkSelector(selector, `OBS_SCENES[${JSON.stringify(sceneName)}].settings[${JSON.stringify(selector)}]`));
+	}
+	return errors;
+}
+
+module.exports = {
+	DEFAULT_COLOR_LIGHTS,
+	getLegacyLights,
+	parseLightConfig,
+	selectLights,
+	checkLightConfig,
+};
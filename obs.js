@@ -0,0 +1,224 @@
+// OBS WebSocket client (obs-websocket v5, included in OBS 28+)
+//
+// Connects to OBS, authenticates with the password when the server asks for it and passes the events to a handler.
+// Requests can be sent once the client is identified. Reconnects with an increasing delay when OBS is not running
+// or the connection is lost.
+// See https://github.com/obsproject/obs-websocket/blob/master/docs/generated/protocol.md
+const WebSocket = require('ws');
+const crypto = require('crypto');
+
+// Default OBS settings
+const DEFAULT_SETTINGS = {
+	url: 'ws://127.0.0.1:4455',
+	password: null,
+};
+
+// Message op codes
+const OP = { HELLO: 0, IDENTIFY: 1, IDENTIFIED: 2, EVENT: 5, REQUEST: 6, REQUEST_RESPONSE: 7 };
+
+// Version of the RPC protocol
+const RPC_VERSION = 1;
+
+// Event subscriptions: general (custom events), scenes and scene items
+const EVENT_SUBSCRIPTIONS = (1 << 0) | (1 << 2) | (1 << 7);
+
+// Time to wait for the response to a request, in ms
+const REQUEST_TIMEOUT = 10000;
+
+// Min and max delays between two connection attempts, in ms
+const [MIN_RECONNECT_DELAY, MAX_RECONNECT_DELAY] = [1000, 60000];
+
+// Client settings
+let settings = null;
+
+// Event handler
+let onEvent = null;
+
+// Current WebSocket connection
+let socket = null;
+
+// Reconnection timer
+let reconnectTimer = null;
+
+// Delay before the next connection attempt, in ms
+let reconnectDelay = MIN_RECONNECT_DELAY;
+
+// Requests waiting for their response, by request ID: { resolve, reject, timer }
+const pendingRequests = new Map();
+
+// Last request ID
+let lastRequestId = 0;
+
+// Connection status: 'disconnected', 'connecting' or 'connected'
+let status = 'disconnected';
+
+/**
+ * Compute the authentication string from the challenge of the server.
+ * @param {string} password
+ * @param {object} authentication { challenge, salt }
+ * @return {string}
+ */
+function getAuthentication(password, { challenge, salt }) {
+	const hash = value => crypto.createHash('sha256').update(value).digest('base64');
+	return hash(hash(password + salt) + challenge);
+}
+
+/**
+ * Reject the requests waiting for a response.
+ * @param {string} reason
+ */
+function rejectPendingRequests(reason) {
+	for (let { reject, timer } of pendingRequests.values()) {
+		clearTimeout(timer);
+		reject(new Error(reason));
+	}
+	pendingRequests.clear();
+}
+
+/**
+ * Handle a message of the OBS server.
+ * @param {WebSocket} ws Connection receiving the message
+ * @param {object} message
+ */
+function handleMessage(ws, { op, d }) {
+	switch (op) {
+		case OP.HELLO: {
+			const identify = { rpcVersion: RPC_VERSION, eventSubscriptions: EVENT_SUBSCRIPTIONS };
+			if (d.authentication) {
+				if (!settings.password) {
+					console.error(`OBS asks for a password, set it in the OBS settings of config.js.`);
+				}
+				identify.authentication = getAuthentication(settings.password || '', d.authentication);
+			}
+			ws.send(JSON.stringify({ op: OP.IDENTIFY, d: identify }));
+			return;
+		}
+
+		case OP.IDENTIFIED:
+			status = 'connected';
+			reconnectDelay = MIN_RECONNECT_DELAY;
+			console.log(`Connected to OBS.`);
+			return;
+
+		case OP.EVENT:
+			try {
+				onEvent(d.eventType, d.eventData || {});
+			} catch (error) {
+				console.error(`Unable to handle the ${d.eventType} OBS event:`, error);
+			}
+			return;
+
+		case OP.REQUEST_RESPONSE: {
+			const request = pendingRequests.get(d.requestId);
+			if (!request) {
+				return;
+			}
+			pendingRequests.delete(d.requestId);
+			clearTimeout(request.timer);
+			if (d.requestStatus.result) {
+				request.resolve(d.responseData || {});
+			} else {
+				request.reject(new Error(`${d.requestType} failed (${d.requestStatus.code}${d.requestStatus.comment ? ` ${d.requestStatus.comment}` : ''})`));
+			}
+			return;
+		}
+	}
+}
+
+/**
+ * Open a connection to OBS.
+ */
+function openConnection() {
+	const ws = new WebSocket(settings.url, 'obswebsocket.json');
+	socket = ws;
+	status = 'connecting';
+
+	ws.on('message', data => {
+		try {
+			handleMessage(ws, JSON.parse(data));
+		} catch (error) {
+			console.error(`Invalid OBS message: ${error.message}`);
+		}
+	});
+	ws.on('error', error => {
+		// Connection refused while OBS is not running: the close handler retries
+		if (error.code !== 'ECONNREFUSED') {
+			console.error(`OBS connection error: ${error.message}`);
+		}
+	});
+	ws.on('close', (code, reason) => {
+		if (ws !== socket || settings === null) {
+			return;
+		}
+		socket = null;
+		rejectPendingRequests('OBS connection closed');
+		const wasConnected = (status === 'connected');
+		status = 'disconnected';
+		// Stay quiet while OBS is not running, but report the lost connections and the wrong passwords (4009)
+		if (wasConnected || code === 4009) {
+			console.log(`OBS connection closed (${code}${reason.length ? ` ${reason}` : ''}), reconnecting in ${reconnectDelay / 1000}s...`);
+		}
+		reconnectTimer = setTimeout(openConnection, reconnectDelay);
+		reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+	});
+}
+
+/**
+ * Start the OBS client.
+ * @param {object} clientSettings { url, password }
+ * @param {function} handler Event handler, called with the event type and the event data
+ */
+function startObs(clientSettings, handler) {
+	settings = { ...DEFAULT_SETTINGS, ...clientSettings };
+	onEvent = handler;
+	console.log(`Connecting to OBS at ${settings.url}...`);
+	openConnection();
+}
+
+/**
+ * Stop the OBS client.
+ */
+function stopObs() {
+	settings = null;
+	clearTimeout(reconnectTimer);
+	rejectPendingRequests('OBS client stopped');
+	socket && socket.close();
+	socket = null;
+	status = 'disconnected';
+}
+
+/**
+ * Send a request to OBS.
+ * @param {string} requestType
+ * @param {object} [requestData]
+ * @return {Promise<object>} Response data
+ */
+function sendObsRequest(requestType, requestData = {}) {
+	if (status !== 'connected') {
+		return Promise.reject(new Error('Not connected to OBS'));
+	}
+	const requestId = String(++lastRequestId);
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			pendingRequests.delete(requestId);
+			reject(new Error(`${requestType} timed out`));
+		}, REQUEST_TIMEOUT);
+		pendingRequests.set(requestId, { resolve, reject, timer });
+		socket.send(JSON.stringify({ op: OP.REQUEST, d: { requestType, requestId, requestData } }));
+	});
+}
+
+/**
+ * Get the status of the OBS client.
+ * @return {object} { status }
+ */
+function getObsStatus() {
+	return { status };
+}
+
+module.exports = {
+	startObs,
+	stopObs,
+	sendObsRequest,
+	getObsStatus,
+};
@@ -0,0 +1,99 @@
+// Timing of the lighting schedule
+//
+// A schedule entry starts at a clock time, every day (at: '19:00'), or after an uptime of the bot (after: '2h').
+// Uptime entries can repeat (every: '1h', the first time after one period unless after is set).
+// The changes of an entry can last a duration (duration: '5m'), or be gradual over the duration (from, to).
+
+// Duration units, in ms
+const DURATION_UNITS = { h: 3600000, m: 60000, s: 1000 };
+
+/**
+ * Parse a duration made of hours, minutes and seconds, ie '1h30m', '45m' or '90s'.
+ * @param {string} duration
+ * @return {int|null} Duration in ms, null if invalid
+ */
+function parseDuration(duration) {
+	const value = String(duration).replace(/\s+/g, '').toLowerCase();
+	if (!/^(\d+h)?(\d+m)?(\d+s)?$/.test(value) || value === '') {
+		return null;
+	}
+	return [...value.matchAll(/(\d+)([hms])/g)].reduce((total, [, amount, unit]) => total + parseInt(amount, 10) * DURATION_UNITS[unit], 0);
+}
+
+/**
+ * Parse a clock time, ie '19:00' or '7:30'.
+ * @param {string} time
+ * @return {object|null} { hours, minutes }, null if invalid
+ */
+function parseClockTime(time) {
+	const matches = String(time).trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+	return matches ? { hours: parseInt(matches[1], 10), minutes: parseInt(matches[2], 10) } : null;
+}
+
+/**
+ * Check the consistency of a schedule entry, the types of its settings being already checked.
+ * @param {object} entry
+ * @return {string|null} Error message, null if the entry is valid
+ */
+function checkScheduleEntry(entry) {
+	if (!entry.at && !entry.after && !entry.every) {
+		return 'needs a clock time (at), an uptime (after) or a period (every)';
+	}
+	if (entry.at && (entry.after || entry.every)) {
+		return 'at is a clock time and can\'t be combined with after or every';
+	}
+	if (entry.every && entry.duration && parseDuration(entry.duration) >= parseDuration(entry.every)) {
+		return 'duration must be shorter than every';
+	}
+	if (entry.from || entry.to) {
+		if (!entry.lights || !entry.from || !entry.to || !entry.duration) {
+			return 'a gradual change needs lights, from, to and duration';
+		}
+		if (entry.scene || entry.settings || entry.every) {
+			return 'a gradual change can\'t have a scene, settings or a period';
+		}
+		const [fromKeys, toKeys] = [entry.from, entry.to].map(settings => Object.keys(settings).sort().join());
+		return (fromKeys === toKeys) ? null : 'from and to must have the same settings';
+	}
+	if (!entry.scene === !entry.settings) {
+		return 'needs either a scene or settings';
+	}
+	return entry.lights ? 'lights is only used by the gradual changes (from, to)' : null;
+}
+
+/**
+ * Get the last occurrence of a schedule entry.
+ * @param {object} entry
+ * @param {int} now Current time
+ * @param {int} startTime Start time of the bot, origin of the uptimes
+ * @return {object|null} { start, end } times, null if the entry has not occurred yet
+ */
+function getScheduleOccurrence(entry, now, startTime) {
+	const duration = entry.duration ? parseDuration(entry.duration) : 0;
+	let start;
+	if (entry.at) {
+		// Today, or yesterday when the time has not come yet today
+		const { hours, minutes } = parseClockTime(entry.at);
+		const date = new Date(now);
+		date.setHours(hours, minutes, 0, 0);
+		if (date.getTime() > now) {
+			date.setDate(date.getDate() - 1);
+		}
+		start = date.getTime();
+	} else {
+		const every = entry.every ? parseDuration(entry.every) : null;
+		const first = startTime + (entry.after ? parseDuration(entry.after) : every);
+		if (now < first) {
+			return null;
+		}
+		start = every ? first + Math.floor((now - first) / every) * every : first;
+	}
+	return { start, end: start + duration };
+}
+
+module.exports = {
+	parseDuration,
+	parseClockTime,
+	checkScheduleEntry,
+	getScheduleOccurrence,
+};
@@ -0,0 +1,441 @@
+// Schema of config.js
+//
+// The settings are checked when the bot starts and when config.js is reloaded, each invalid setting being reported
+// with its location (ie COLOR_SCHEMES[3].settings[0].xy) rather than failing in the middle of a stream.
+// A schema describes a value:
+// type: 'string', 'number', 'integer', 'boolean', 'object', 'array' or 'function', or a list of them
+// nullable: The value can be null
+// required: The value can't be missing
+// enum: Valid values
+// min, max: Range of the numbers, or length of the strings and arrays
+// items: Schema of the array items
+// properties: Schemas of the object properties. The other properties are invalid, unless there is a values schema.
+// values: Schema of the other object properties (ie light settings by light selector)
+// check: Function returning an error message for an invalid value, null otherwise
+// anyOf: Schemas of the alternatives, the first one matching the type of the value being used
+const { EVENTSUB_EVENTS } = require('./eventsub.js');
+const { parseColor, findClosestName } = require('./colors.js');
+const { parseDuration, parseClockTime, checkScheduleEntry } = require('./schedule.js');
+
+// Type names used in the error messages
+const TYPE_NAMES = {
+	string: 'a string', number: 'a number', integer: 'an integer', boolean: 'a boolean', object: 'an object',
+	array: 'an array', function: 'a function', null: 'null', undefined: 'undefined',
+};
+
+// Light roles
+const LIGHT_ROLES = ['key', 'back', 'accent', 'ambient'];
+
+// Light configuration keys used before the LIGHTS setting existed
+const LEGACY_LIGHT_KEYS = {
+	LEFT_KEY_LIGHT_ID: { name: 'Left key light', role: 'key', position: 'bottom left' },
+	RIGHT_KEY_LIGHT_ID: { name: 'Right key light', role: 'key', position: 'bottom right' },
+	BACK_LIGHT_ID: { name: 'Back light', role: 'back', position: 'center' },
+	LEFT_LIGHTSTRIP_ID: { name: 'Left Lightstrip', role: 'accent', position: 'top left' },
+	RIGHT_LIGHTSTRIP_ID: { name: 'Right Lightstrip', role: 'accent', position: 'top right' },
+};
+
+// RGB color or color string
+const COLOR = {
+	anyOf: [
+		{ type: 'array', min: 3, max: 3, items: { type: 'integer', min: 0, max: 255 } },
+		{ type: 'string', check: value => parseColor(value) ? null : 'must be a hex code, a CSS color name, rgb(...), hsl(...) or a temperature (ie 3000K)' },
+	],
+};
+
+// Light selector: light ID, light name, role, position or 'all', or a list of them
+const LIGHT_SELECTOR = {
+	anyOf: [
+		{ type: ['string', 'integer'] },
+		{ type: 'array', min: 1, items: { type: ['string', 'integer'] } },
+	],
+};
+
+// Hue light state values, plus k (temperature in Kelvin) and color
+const LIGHT_SETTINGS = {
+	type: 'object',
+	properties: {
+		on: { type: 'boolean' },
+		bri: { type: 'integer', min: 1, max: 254 },
+		hue: { type: 'integer', min: 0, max: 65535 },
+		sat: { type: 'integer', min: 0, max: 254 },
+		xy: { type: 'array', min: 2, max: 2, items: { type: 'number', min: 0, max: 1 } },
+		ct: { type: 'integer', min: 153, max: 500 },
+		k: { type: 'number', min: 1000, max: 40000 },
+		color: COLOR,
+		colormode: { enum: ['xy', 'ct', 'hs'] },
+		effect: { enum: ['none', 'colorloop'] },
+		alert: { enum: ['none', 'select', 'lselect'] },
+	},
+};
+
+// Light state of an effect frame: the values can be parameters ('$color')
+const EFFECT_LIGHT_STATE = {
+	type: 'object',
+	properties: Object.fromEntries(Object.keys(LIGHT_SETTINGS.properties).map(key => [key, {}])),
+};
+
+// Number of an effect, or parameter
+const EFFECT_NUMBER = {
+	anyOf: [
+		{ type: 'number', min: 0 },
+		{ type: 'string', check: value => /^\$\w+$/.test(value) ? null : 'must be a number or a parameter (ie $loops)' },
+	],
+};
+
+// Light effect (see effects.js)
+const EFFECT = {
+	type: 'object',
+	properties: {
+		name: { type: 'string' },
+		priority: { type: 'integer' },
+		params: { type: 'object', values: {} },
+		lights: LIGHT_SELECTOR,
+		others: EFFECT_LIGHT_STATE,
+		sequences: {
+			type: 'array',
+			required: true,
+			items: {
+				type: 'object',
+				properties: {
+					repeat: EFFECT_NUMBER,
+					frames: {
+						type: 'array',
+						required: true,
+						items: {
+							type: 'object',
+							properties: {
+								lights: { type: 'object', values: EFFECT_LIGHT_STATE },
+								transition: EFFECT_NUMBER,
+								duration: EFFECT_NUMBER,
+							},
+						},
+					},
+				},
+			},
+		},
+	},
+};
+
+// Cooldown settings
+const COOLDOWN = {
+	type: 'object',
+	properties: {
+		global: { type: 'integer', min: 0 },
+		user: { type: 'integer', min: 0 },
+		minDisplayTime: { type: 'integer', min: 0 },
+		policy: { enum: ['queue', 'reject'] },
+		maxQueued: { type: 'integer', min: 0 },
+	},
+};
+
+// Event rule parameter: value, or { scale, from, to, log, default } to scale with an event value
+const RULE_PARAM = {
+	anyOf: [
+		{
+			type: 'object',
+			properties: {
+				scale: { type: 'string', required: true },
+				from: { type: 'array', min: 2, max: 2 },
+				to: { type: 'array', min: 2, max: 2 },
+				log: { type: 'boolean' },
+				default: {},
+			},
+		},
+		{},
+	],
+};
+
+// Event rule
+const EVENT_RULE = {
+	type: 'object',
+	properties: {
+		when: {
+			type: 'object',
+			values: {
+				anyOf: [
+					{ type: 'object', properties: { min: { type: 'number' }, max: { type: 'number' } } },
+					{ type: ['string', 'number', 'boolean'] },
+				],
+			},
+		},
+		effect: { type: 'string', required: true },
+		priority: { type: 'integer' },
+		params: { type: 'object', values: RULE_PARAM },
+	},
+};
+
+// Duration, ie '1h30m'
+const DURATION = { type: 'string', check: value => parseDuration(value) ? null : 'must be a duration, ie \'1h30m\', \'45m\' or \'90s\'' };
+
+// Lighting schedule entry (see schedule.js)
+const SCHEDULE_ENTRY = {
+	type: 'object',
+	properties: {
+		name: { type: 'string' },
+		at: { type: 'string', check: value => parseClockTime(value) ? null : 'must be a clock time, ie \'19:00\'' },
+		after: DURATION,
+		every: DURATION,
+		duration: DURATION,
+		scene: { type: 'string', min: 1 },
+		settings: { type: 'object', values: LIGHT_SETTINGS },
+		lights: LIGHT_SELECTOR,
+		from: LIGHT_SETTINGS,
+		to: LIGHT_SETTINGS,
+	},
+	check: checkScheduleEntry,
+};
+
+// Light change of an OBS scene, one of scene, colors, settings, effect or reset
+const OBS_SCENE_LIGHTS = {
+	type: 'object',
+	properties: {
+		scene: { type: 'string', min: 1 },
+		colors: { type: 'string', min: 1 },
+		settings: { type: 'object', values: LIGHT_SETTINGS },
+		effect: { type: 'string', min: 1 },
+		params: { type: 'object' },
+		reset: { enum: [true] },
+	},
+	check: value => {
+		if (['scene', 'colors', 'settings', 'effect', 'reset'].filter(key => value[key] !== undefined).length !== 1) {
+			return 'needs one of scene, colors, settings, effect or reset';
+		}
+		return (value.params && !value.effect) ? 'params is only used with effect' : null;
+	},
+};
+
+// Light ID on the Hue bridge
+const LIGHT_ID = { type: 'integer', min: 1 };
+
+// Settings of config.js
+const CONFIG_SCHEMA = {
+	type: 'object',
+	properties: {
+		HTTP_PORT: { type: 'integer', nullable: true, min: 1, max: 65535 },
+		USE_TWITCH_EVENTS: { type: 'boolean', nullable: true },
+		EVENTSUB: {
+			type: 'object',
+			properties: {
+				enabled: { type: 'boolean' },
+				clientId: { type: 'string', nullable: true },
+				token: { type: 'string', nullable: true },
+				broadcasterId: { type: 'string', nullable: true },
+				events: { type: 'array', nullable: true, items: { enum: EVENTSUB_EVENTS } },
+				url: { type: 'string' },
+				apiUrl: { type: 'string' },
+			},
+		},
+		OBS: {
+			type: 'object',
+			properties: {
+				enabled: { type: 'boolean' },
+				url: { type: 'string', check: value => /^wss?:\/\//.test(value) ? null : 'must be a ws:// or wss:// URL' },
+				password: { type: 'string', nullable: true },
+				events: { type: 'boolean' },
+			},
+		},
+		OBS_SCENES: { type: 'object', values: OBS_SCENE_LIGHTS },
+		OBS_HOTKEYS: { type: 'object', values: { type: 'string', min: 1 } },
+		TWITCH_CHANNEL: { type: 'string', required: true, min: 1 },
+		COLOR_REWARD_ID: { type: 'string', nullable: true },
+		TWITCH_BOT_USERNAME: { type: 'string', nullable: true },
+		TWITCH_BOT_OAUTH: { type: 'string', nullable: true },
+		CHAT_REPLIES: { type: 'object', values: { type: 'string' } },
+		CHAT_RATE_LIMIT: {
+			type: 'object',
+			properties: {
+				messages: { type: 'integer', min: 1 },
+				period: { type: 'integer', min: 1 },
+				maxQueued: { type: 'integer', min: 0 },
+			},
+		},
+		COMMAND_PERMISSIONS: {
+			type: 'object',
+			values: { anyOf: [{ type: ['string', 'integer'] }, { type: 'array', items: { type: ['string', 'integer'] } }] },
+		},
+		COLOR_REWARD_LIGHTS: LIGHT_SELECTOR,
+		COLOR_REWARD_COOLDOWN: COOLDOWN,
+		COMMAND_COOLDOWNS: { type: 'object', values: COOLDOWN },
+		HUE_BRIDGE_USERNAME: { type: 'string', required: true, min: 1 },
+		HUE_BRIDGE_IP: { type: 'string', nullable: true },
+		LIGHTS: {
+			type: 'array',
+			min: 1,
+			items: {
+				type: 'object',
+				properties: {
+					id: { ...LIGHT_ID, required: true },
+					name: { type: 'string' },
+					role: { enum: LIGHT_ROLES, required: true },
+					position: {
+						anyOf: [
+							{
+								type: 'string',
+								check: value => value.toLowerCase().split(/\s+/).every(word => ['left', 'right', 'top', 'bottom', 'center'].includes(word))
+									? null : 'must be made of left, right, top, bottom and center',
+							},
+							{ type: 'object', properties: { x: { type: 'number', min: -1, max: 1 }, y: { type: 'number', min: -1, max: 1 } } },
+						],
+					},
+				},
+			},
+		},
+		...Object.fromEntries(Object.keys(LEGACY_LIGHT_KEYS).map(key => [key, { ...LIGHT_ID, nullable: true }])),
+		EFFECT_JOURNAL_FILE: { type: 'string', min: 1 },
+		SCENE_LIBRARY_FILE: { type: 'string', min: 1 },
+		INITIAL_LIGHT_SETTINGS: { type: 'object', required: true, values: LIGHT_SETTINGS },
+		COLOR_SCHEMES: {
+			type: 'array',
+			required: true,
+			items: {
+				type: 'object',
+				properties: {
+					keywords: { type: 'array', required: true, min: 1, items: { type: 'string', min: 1 } },
+					aliases: { type: 'array', items: { type: 'string', min: 1 } },
+					settings: { type: 'array', required: true, min: 1, items: LIGHT_SETTINGS },
+				},
+			},
+		},
+		COLOR_TRANSITION: { type: 'integer', required: true, min: 0 },
+		SUB_TIER_COLORS: {
+			type: 'object',
+			properties: { prime: { ...COLOR, nullable: true }, 1: { ...COLOR, nullable: true }, 2: { ...COLOR, nullable: true }, 3: { ...COLOR, nullable: true } },
+		},
+		EVENT_RULES: { type: 'object', values: { type: 'array', items: EVENT_RULE } },
+		ACTION_QUEUE: {
+			type: 'object',
+			properties: {
+				preemption: { type: 'boolean' },
+				coalesceWindow: { type: 'integer', min: 0 },
+				maxLength: { type: 'integer', min: 1 },
+				overflow: { enum: ['summarize', 'drop'] },
+			},
+		},
+		EFFECTS: { type: 'object', values: EFFECT },
+		SCHEDULE: { type: 'array', items: SCHEDULE_ENTRY },
+		AUDIO: {
+			type: 'object',
+			properties: {
+				input: { type: 'string', check: value => value.trim() ? null : 'must be stdin or a file path' },
+				sampleRate: { type: 'integer', min: 8000, max: 192000 },
+				channels: { type: 'integer', min: 1, max: 8 },
+				bitDepth: { enum: [8, 16, 24, 32] },
+				loop: { type: 'boolean' },
+				lights: LIGHT_SELECTOR,
+				minBri: { type: 'integer', min: 1, max: 254 },
+				requestShare: { type: 'number', min: 0.1, max: 1 },
+			},
+		},
+	},
+};
+
+/**
+ * Get the type of a value, as named in the schemas.
+ * @param {*} value
+ * @return {string}
+ */
+function getType(value) {
+	if (Array.isArray(value)) {
+		return 'array';
+	}
+	if (value === null) {
+		return 'null';
+	}
+	return typeof value;
+}
+
+/**
+ * Indicates if a value has one of the types of a schema.
+ * @param {*} value
+ * @param {string|array} [types]
+ * @return {boolean}
+ */
+function hasType(value, types) {
+	if (types === undefined) {
+		return true;
+	}
+	return [].concat(types).some(type => (type === 'integer') ? Number.isInteger(value) : getType(value) === type);
+}
+
+/**
+ * Check a value against a schema.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path Location of the value, used in the error messages
+ * @return {array} Error messages
+ */
+function validate(value, schema, path) {
+	if (value === undefined) {
+		return schema.required ? [`${path}: missing setting`] : [];
+	}
+	if (value === null) {
+		return (schema.nullable || (!schema.type && !schema.anyOf && !schema.enum)) ? [] : [`${path}: can't be null`];
+	}
+
+	if (schema.anyOf) {
+		const match = schema.anyOf.find(alternative => hasType(value, alternative.type));
+		if (!match) {
+			const types = [...new Set(schema.anyOf.flatMap(alternative => [].concat(alternative.type)))];
+			return [`${path}: must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}, not ${TYPE_NAMES[getType(value)]}`];
+		}
+		return validate(value, match, path);
+	}
+	if (schema.enum) {
+		return schema.enum.includes(value) ? [] : [`${path}: invalid value ${JSON.stringify(value)}, valid values are ${schema.enum.join(', ')}`];
+	}
+	if (!hasType(value, schema.type)) {
+		const types = [].concat(schema.type);
+		const type = (typeof value === 'number' && types.includes('integer')) ? 'a decimal number' : TYPE_NAMES[getType(value)];
+		return [`${path}: must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}, not ${type}`];
+	}
+
+	// Ranges
+	const size = (typeof value === 'number') ? value : value.length;
+	if (schema.min !== undefined && size < schema.min) {
+		return [`${path}: ${(typeof value === 'number') ? 'must be at least' : 'length must be at least'} ${schema.min}`];
+	}
+	if (schema.max !== undefined && size > schema.max) {
+		return [`${path}: ${(typeof value === 'number') ? 'must be at most' : 'length must be at most'} ${schema.max}`];
+	}
+
+	const errors = [];
+	if (schema.items) {
+		value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+	}
+	if (schema.properties || schema.values) {
+		const properties = schema.properties || {};
+		for (let [key, propertySchema] of Object.entries(properties)) {
+			errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+		}
+		for (let key of Object.keys(value).filter(key => !Object.hasOwn(properties, key))) {
+			if (schema.values) {
+				errors.push(...validate(value[key], schema.values, `${path}[${JSON.stringify(key)}]`));
+				continue;
+			}
+			const closest = findClosestName(key.toLowerCase(), Object.keys(properties).map(name => name.toLowerCase()));
+			const suggestion = closest && Object.keys(properties).find(name => name.toLowerCase() === closest);
+			errors.push(`${path}.${key}: unknown setting${suggestion ? `, did you mean ${suggestion}?` : ''}`);
+		}
+	}
+	if (schema.check && errors.length === 0) {
+		const error = schema.check(value);
+		error && errors.push(`${path}: ${error}`);
+	}
+	return errors;
+}
+
+/**
+ * Check the settings of config.js.
+ * @param {object} config
+ * @return {array} Error messages, ie 'COLOR_SCHEMES[3].settings[0].xy: length must be at least 2'
+ */
+function validateConfig(config) {
+	return validate(config, CONFIG_SCHEMA, 'config').map(error => error.replace(/^config[.:]\s*/, ''));
+}
+
+module.exports = {
+	LIGHT_ROLES,
+	LEGACY_LIGHT_KEYS,
+	validateConfig,
+};
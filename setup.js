@@ -0,0 +1,395 @@
+// Setup wizard
+//
+// Finds the Hue bridge, creates the user of the bot on it, lists the lights and makes each one of them blink so their
+// role and position in the rig can be set, then writes config.js. Run it with npm run setup.
+const readline = require('readline/promises');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v3 } = require('node-hue-api');
+const LightState = v3.lightStates.LightState;
+const { discoverBridges, connectBridge, blinkLight } = require('./hue.js');
+const { validateConfig } = require('./schema.js');
+const { DEFAULT_COLOR_LIGHTS, parseLightConfig, selectLights, checkLightConfig } = require('./lights.js');
+
+// Configuration files
+const CONFIG_FILE = path.join(__dirname, 'config.js');
+const EXAMPLE_CONFIG_FILE = path.join(__dirname, 'config.example.js');
+
+// Application name of the user created on the bridge
+const APP_NAME = 'twitch_hue_bot';
+
+// Maximum time to wait for the link button to be pressed, in ms
+const LINK_BUTTON_TIMEOUT = 30000;
+
+// Delay between two user creation attempts while waiting for the link button, in ms
+const LINK_BUTTON_POLL_INTERVAL = 2000;
+
+// Hue error type returned when the link button has not been pressed
+const LINK_BUTTON_NOT_PRESSED = 101;
+
+// Maximum duration of the bridge discovery, in ms
+const DISCOVERY_TIMEOUT = 10000;
+
+// Light roles, by answer of the role question
+const ROLE_ANSWERS = { k: 'key', b: 'back', a: 'accent', m: 'ambient' };
+
+// Initial settings written for each role, when the config file is created from the example
+const ROLE_INITIAL_SETTINGS = {
+	key: '{ on: true, bri: 254, k: 6500 }',
+	back: '{ on: true, bri: 254, k: 6500 }',
+	accent: '{ on: true, bri: 254, colormode: \'xy\', xy: [0.3659, 0.1506] }',
+	ambient: '{ on: true, bri: 128, k: 2700 }',
+};
+
+// Roles of the lights driven by the color reward and the audio mode when the rig has no accent light, by preference
+const COLOR_LIGHT_ROLES = ['accent', 'ambient', 'back', 'key'];
+
+// Light state properties restored after the blinks, by color mode
+const COLOR_MODE_KEYS = { ct: ['ct'], xy: ['xy'], hs: ['hue', 'sat'] };
+
+/**
+ * Waits for the given amount of milliseconds.
+ * @param {number} milli
+ */
+async function delay(milli) {
+	return new Promise(resolve => setTimeout(resolve, milli));
+}
+
+/**
+ * Ask a question, with a default answer.
+ * @param {readline.Interface} rl
+ * @param {string} question
+ * @param {string} [defaultAnswer]
+ * @return {string} Trimmed answer, or the default one when empty
+ */
+async function ask(rl, question, defaultAnswer = '') {
+	const answer = (await rl.question(`${question}${defaultAnswer ? ` [${defaultAnswer}]` : ''}: `)).trim();
+	return answer || defaultAnswer;
+}
+
+/**
+ * Format a string as a JavaScript string literal.
+ * @param {string} value
+ * @return {string}
+ */
+function toJsString(value) {
+	return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+/**
+ * Read the current config file, if any.
+ * @return {object|null}
+ */
+function readCurrentConfig() {
+	if (!fs.existsSync(CONFIG_FILE)) {
+		return null;
+	}
+	try {
+		return require(CONFIG_FILE);
+	} catch (e) {
+		console.log(`The current config.js is invalid (${e.message}), it will be replaced.`);
+		return null;
+	}
+}
+
+/**
+ * Find the Hue bridge, or ask its address.
+ * @param {readline.Interface} rl
+ * @param {object|null} currentConfig
+ * @return {string} Bridge address
+ */
+async function chooseBridge(rl, currentConfig) {
+	console.log(`Searching for Hue bridges...`);
+	let bridges = [];
+	try {
+		bridges = await Promise.race([
+			discoverBridges(),
+			delay(DISCOVERY_TIMEOUT).then(() => Promise.reject(new Error('timeout'))),
+		]);
+	} catch (e) {
+		console.log(`The bridge discovery failed (${e.message}).`);
+	}
+	bridges.forEach(({ ip, name, id }, index) => console.log(`  ${index + 1}. ${name} (${ip}, ${id})`));
+	if (bridges.length === 0) {
+		console.log(`No bridge found. Enter its IP address, as displayed in the Hue app (Settings > Bridges).`);
+	}
+
+	const defaultAnswer = (currentConfig && currentConfig.HUE_BRIDGE_IP) || (bridges.length ? '1' : '');
+	for (;;) {
+		const answer = await ask(rl, bridges.length ? 'Bridge number or IP address' : 'Bridge IP address', defaultAnswer);
+		if (/^\d+$/.test(answer) && bridges[parseInt(answer, 10) - 1]) {
+			return bridges[parseInt(answer, 10) - 1].ip;
+		}
+		if (/^[\w.-]+(:\d+)?$/.test(answer)) {
+			return answer;
+		}
+		console.log(`Invalid bridge.`);
+	}
+}
+
+/**
+ * Get a user on the bridge: the current one if it still works, or a new one created with the link button.
+ * @param {readline.Interface} rl
+ * @param {string} address Bridge address
+ * @param {object|null} currentConfig
+ * @return {object} { username, api }
+ */
+async function getBridgeUser(rl, address, currentConfig) {
+	const currentUsername = currentConfig && currentConfig.HUE_BRIDGE_USERNAME;
+	if (currentUsername) {
+		try {
+			const api = await connectBridge(address, currentUsername);
+			await api.lights.getAll();
+			console.log(`The user of config.js is valid on this bridge.`);
+			return { username: currentUsername, api };
+		} catch (e) {
+			console.log(`The user of config.js can't be used on this bridge (${e.message}), creating a new one.`);
+		}
+	}
+
+	const unauthenticatedApi = await connectBridge(address);
+	const deviceName = os.hostname().slice(0, 19);
+	for (;;) {
+		await rl.question(`Press the link button on the Hue bridge, then press Enter.`);
+		const end = Date.now() + LINK_BUTTON_TIMEOUT;
+		while (Date.now() < end) {
+			try {
+				const { username } = await unauthenticatedApi.users.createUser(APP_NAME, deviceName);
+				console.log(`User created on the bridge.`);
+				return { username, api: await connectBridge(address, username) };
+			} catch (e) {
+				if (!e.getHueErrorType || e.getHueErrorType() !== LINK_BUTTON_NOT_PRESSED) {
+					throw e;
+				}
+			}
+			await delay(LINK_BUTTON_POLL_INTERVAL);
+		}
+		console.log(`The link button has not been pressed.`);
+	}
+}
+
+/**
+ * Describe the capabilities of a light.
+ * @param {object} bridgeLight Light of the bridge
+ * @return {string} ie 'color (gamut C), 2000K-6500K'
+ */
+function describeCapabilities(bridgeLight) {
+	const control = (bridgeLight.capabilities && bridgeLight.capabilities.control) || {};
+	const capabilities = [];
+	if (control.colorgamut) {
+		capabilities.push(`color (gamut ${control.colorgamuttype || '?'})`);
+	}
+	if (control.ct) {
+		capabilities.push(`${Math.round(1000000 / control.ct.max / 100) * 100}K-${Math.round(1000000 / control.ct.min / 100) * 100}K`);
+	}
+	return capabilities.join(', ') || 'brightness only';
+}
+
+/**
+ * Make a light blink, then set its state back.
+ * @param {object} api Bridge API
+ * @param {int} lightId
+ */
+async function identifyLight(api, lightId) {
+	const state = await api.lights.getLightState(lightId);
+	await blinkLight(async (id, lightState, transition) => {
+		await api.lights.setLightState(id, lightState.transition(transition));
+		await delay(transition);
+	}, lightId);
+
+	const previousState = { on: !!state.on };
+	if (state.on) {
+		for (let key of ['bri', ...(COLOR_MODE_KEYS[state.colormode] || [])]) {
+			if (state[key] !== undefined) {
+				previousState[key] = state[key];
+			}
+		}
+	}
+	await api.lights.setLightState(lightId, new LightState().populate(previousState));
+}
+
+/**
+ * List the lights of the bridge and ask the role and the position of each one of them.
+ * @param {readline.Interface} rl
+ * @param {object} api Bridge API
+ * @param {object|null} currentConfig
+ * @return {array} { id, name, role, position } for each light of the rig
+ */
+async function setupLights(rl, api, currentConfig) {
+	const bridgeLights = (await api.lights.getAll()).sort((a, b) => a.id - b.id);
+	const currentLights = (currentConfig && currentConfig.LIGHTS) || [];
+	console.log(`\n${bridgeLights.length} lights found on the bridge:`);
+	for (let bridgeLight of bridgeLights) {
+		console.log(`  #${bridgeLight.id} ${bridgeLight.name} (${bridgeLight.type}): ${describeCapabilities(bridgeLight)}`);
+	}
+
+	console.log(`\nEach light will blink. Set its role, or skip it when it's not part of the rig.`);
+	const lights = [];
+	for (let bridgeLight of bridgeLights) {
+		const currentLight = currentLights.find(light => light.id === bridgeLight.id);
+		const defaultRole = currentLight ? Object.keys(ROLE_ANSWERS).find(key => ROLE_ANSWERS[key] === currentLight.role) : 's';
+		console.log(`\n#${bridgeLight.id} ${bridgeLight.name}: ${describeCapabilities(bridgeLight)}`);
+
+		let answer = 'r';
+		while (answer === 'r') {
+			console.log(`Blinking...`);
+			await identifyLight(api, bridgeLight.id);
+			answer = (await ask(rl, 'Role: (k)ey, (b)ack, (a)ccent, a(m)bient, (s)kip or (r)epeat the blinks', defaultRole)).toLowerCase()[0];
+		}
+		if (!ROLE_ANSWERS[answer]) {
+			continue;
+		}
+
+		const name = await ask(rl, 'Name', currentLight ? currentLight.name : bridgeLight.name);
+		const position = await ask(rl, 'Position as seen by the camera: left, right or center, optionally with top or bottom', (currentLight && typeof currentLight.position === 'string') ? currentLight.position : 'center');
+		lights.push({ id: bridgeLight.id, name, role: ROLE_ANSWERS[answer], position });
+	}
+	return lights;
+}
+
+/**
+ * Replace or add a top level setting in the content of a config file.
+ * @param {string} content
+ * @param {string} key
+ * @param {string} value JavaScript code of the value, may span several lines
+ * @return {string}
+ */
+function setConfigValue(content, key, value) {
+	// Setting on one line, or multi-line object or array ending with the same indentation
+	const pattern = new RegExp(`^\\t${key}: (?:[\\[{]\\n[\\s\\S]*?^\\t[\\]}]|.*?)(,?)( *//.*)?$`, 'm');
+	if (pattern.test(content)) {
+		return content.replace(pattern, (match, comma) => `\t${key}: ${value}${comma}`);
+	}
+	return content.replace(/^};/m, `\t${key}: ${value},\n};`);
+}
+
+/**
+ * Replace or add a property of a top level object setting in the content of a config file.
+ * @param {string} content
+ * @param {string} key
+ * @param {string} property
+ * @param {string} value JavaScript code of the value, on one line
+ * @return {string}
+ */
+function setConfigProperty(content, key, property, value) {
+	const objectPattern = new RegExp(`^\\t${key}: \\{\\n[\\s\\S]*?^\\t\\}`, 'm');
+	const match = content.match(objectPattern);
+	if (!match) {
+		return setConfigValue(content, key, `{\n\t\t${property}: ${value},\n\t}`);
+	}
+	const propertyPattern = new RegExp(`^\\t\\t${property}: .*?(,?)( *//.*)?$`, 'm');
+	const object = propertyPattern.test(match[0])
+		? match[0].replace(propertyPattern, (line, comma) => `\t\t${property}: ${value}${comma}`)
+		: match[0].replace(/^\t\}$/m, `\t\t${property}: ${value},\n\t}`);
+	return content.replace(match[0], () => object);
+}
+
+/**
+ * Load a config file, bypassing the require cache.
+ * @param {string} file
+ * @return {object}
+ */
+function loadConfigFile(file) {
+	delete require.cache[require.resolve(file)];
+	return require(file);
+}
+
+/**
+ * Make the color reward and the audio mode drive configured lights, when their selectors don't match any light.
+ * @param {string} content
+ * @param {object} config Settings of the content
+ * @param {array} lights Parsed lights of the rig
+ * @return {string}
+ */
+function setColorLights(content, config, lights) {
+	const role = COLOR_LIGHT_ROLES.find(role => lights.some(light => light.role === role));
+	const selector = toJsString(role || 'all');
+	if (selectLights(config.COLOR_REWARD_LIGHTS || DEFAULT_COLOR_LIGHTS, lights).length === 0) {
+		content = setConfigValue(content, 'COLOR_REWARD_LIGHTS', selector);
+	}
+	if (selectLights((config.AUDIO && config.AUDIO.lights) || DEFAULT_COLOR_LIGHTS, lights).length === 0) {
+		content = setConfigProperty(content, 'AUDIO', 'lights', selector);
+	}
+	return content;
+}
+
+/**
+ * Write config.js, from the current one or from the example, and check that it is valid.
+ * The current file is kept as config.js.bak.
+ * @param {object} settings { address, username, channel, lights }
+ */
+function writeConfig({ address, username, channel, lights }) {
+	const isNewConfig = !fs.existsSync(CONFIG_FILE);
+	let content = fs.readFileSync(isNewConfig ? EXAMPLE_CONFIG_FILE : CONFIG_FILE, 'utf8');
+	content = setConfigValue(content, 'HUE_BRIDGE_IP', toJsString(address));
+	content = setConfigValue(content, 'HUE_BRIDGE_USERNAME', toJsString(username));
+	content = setConfigValue(content, 'TWITCH_CHANNEL', toJsString(channel));
+	content = setConfigValue(content, 'LIGHTS', `[\n${lights.map(({ id, name, role, position }) => (
+		`\t\t{ id: ${id}, name: ${toJsString(name)}, role: ${toJsString(role)}, position: ${toJsString(position)} },\n`
+	)).join('')}\t]`);
+
+	// The initial settings of the example refer to the example lights
+	if (isNewConfig) {
+		const roles = [...new Set(lights.map(light => light.role))];
+		content = setConfigValue(content, 'INITIAL_LIGHT_SETTINGS', `{\n${roles.map(role => `\t\t'${role}': ${ROLE_INITIAL_SETTINGS[role]},\n`).join('')}\t}`);
+	} else {
+		fs.copyFileSync(CONFIG_FILE, `${CONFIG_FILE}.bak`);
+	}
+
+	try {
+		fs.writeFileSync(CONFIG_FILE, content);
+		let config = loadConfigFile(CONFIG_FILE);
+		const parsedLights = lights.map(parseLightConfig);
+		const colorLightsContent = setColorLights(content, config, parsedLights);
+		if (colorLightsContent !== content) {
+			fs.writeFileSync(CONFIG_FILE, colorLightsContent);
+			config = loadConfigFile(CONFIG_FILE);
+		}
+		if (config.HUE_BRIDGE_USERNAME !== username || config.LIGHTS.length !== lights.length) {
+			throw new Error('the settings have not been written');
+		}
+		const errors = validateConfig(config);
+		if (errors.length === 0) {
+			errors.push(...checkLightConfig(config, parsedLights));
+		}
+		if (errors.length > 0) {
+			throw new Error(`\n${errors.map(error => `  ${error}`).join('\n')}`);
+		}
+	} catch (e) {
+		if (isNewConfig) {
+			fs.unlinkSync(CONFIG_FILE);
+		} else {
+			fs.copyFileSync(`${CONFIG_FILE}.bak`, CONFIG_FILE);
+		}
+		throw new Error(`Unable to write a valid config.js: ${e.message}`);
+	}
+	console.log(`\nconfig.js written${isNewConfig ? '' : ' (the previous one is saved as config.js.bak)'}.`);
+}
+
+/**
+ * Run the setup wizard.
+ */
+async function setup() {
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	try {
+		const currentConfig = readCurrentConfig();
+		const address = await chooseBridge(rl, currentConfig);
+		const { username, api } = await getBridgeUser(rl, address, currentConfig);
+		const lights = await setupLights(rl, api, currentConfig);
+		if (lights.length === 0) {
+			console.log(`No light has been added to the rig, config.js has not been written.`);
+			return;
+		}
+		const channel = await ask(rl, '\nTwitch channel name', (currentConfig && currentConfig.TWITCH_CHANNEL) || '');
+		writeConfig({ address, username, channel, lights });
+		console.log(`Set the remaining settings such as COLOR_REWARD_ID in config.js, then start the bot with npm run start.`);
+	} finally {
+		rl.close();
+	}
+}
+
+setup().catch(e => {
+	console.error(`Setup failed: ${e.message}`);
+	process.exitCode = 1;
+});